@@ -0,0 +1,157 @@
+/**
+ * MedAI App Lock
+ * Local PIN (and optionally the device's fingerprint / face unlock) that
+ * resumes a locked dashboard without a full sign-in. The PIN also wraps
+ * the SecureStore patient data keys, so a freshly opened dashboard needs
+ * it before any history can be read. The attempt limit only holds inside
+ * the app; against a copied profile the PIN length and the PBKDF2 cost are
+ * all there is, hence at least 6 digits. Settings are kept beside the
+ * keys, so they belong to the signed-in user and are wiped on sign-out
+ * like everything else.
+ */
+
+const AppLock = {
+    RECORD_ID: 'lock',
+    PIN_PATTERN: /^\d{6,12}$/,
+    PBKDF2_ITERATIONS: 200000,
+    DEFAULT_TIMEOUT: 5, // minutes
+
+    // ==================== SETTINGS ====================
+    async getSettings() {
+        return (await SecureStore.run('readonly', store => store.get(this.RECORD_ID))) || null;
+    },
+
+    async update(changes) {
+        const record = await this.withChanges(changes);
+        await SecureStore.run('readwrite', store => store.put(record));
+        return record;
+    },
+
+    async withChanges(changes) {
+        const current = await this.getSettings() || {
+            id: this.RECORD_ID,
+            pin: null,
+            credentialId: null,
+            timeoutMinutes: this.DEFAULT_TIMEOUT,
+            failures: 0
+        };
+        return { ...current, ...changes };
+    },
+
+    isConfigured(settings) {
+        return Boolean(settings?.pin);
+    },
+
+    // ==================== PIN ====================
+    // Nothing derived from the PIN is stored: a PIN is checked by whether
+    // its key unwraps the data keys
+    async deriveKey(pin, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    },
+
+    /**
+     * Sets or changes the PIN. The first PIN creates the data keys; a new
+     * one re-wraps them, which needs the dashboard to be unlocked.
+     */
+    async setPin(pin) {
+        if (!this.PIN_PATTERN.test(pin)) {
+            throw { status: 400, message: 'PIN must be 6 to 12 digits', code: 'INVALID_PIN' };
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const wrapping = await this.deriveKey(pin, salt, this.PBKDF2_ITERATIONS);
+        const record = await this.withChanges({ pin: { salt, iterations: this.PBKDF2_ITERATIONS }, failures: 0 });
+
+        // Saved with the wrapped keys so the salt always matches them
+        await SecureStore.wrapDataKeys(wrapping, [record]);
+        return record;
+    },
+
+    /**
+     * Checks a PIN and unlocks patient data with it, counting consecutive
+     * failures across reloads.
+     * @returns {Promise<{valid: boolean, failures: number}>}
+     */
+    async verifyPin(pin) {
+        const settings = await this.getSettings();
+        if (!this.isConfigured(settings)) {
+            throw { status: 400, message: 'No PIN has been set', code: 'NO_PIN' };
+        }
+
+        const { salt, iterations } = settings.pin;
+        const valid = await SecureStore.unlockData(await this.deriveKey(String(pin), salt, iterations));
+
+        if (valid) {
+            await this.update({ failures: 0 });
+            return { valid: true, failures: 0 };
+        }
+
+        const { failures } = await this.update({ failures: settings.failures + 1 });
+        return { valid: false, failures };
+    },
+
+    // ==================== PLATFORM AUTHENTICATOR ====================
+    async platformAuthenticatorAvailable() {
+        if (!window.PublicKeyCredential?.isUserVerifyingPlatformAuthenticatorAvailable) return false;
+        return PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable().catch(() => false);
+    },
+
+    async registerAuthenticator(user) {
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                challenge: crypto.getRandomValues(new Uint8Array(32)),
+                rp: { name: 'MedAI' },
+                user: {
+                    id: crypto.getRandomValues(new Uint8Array(16)),
+                    name: user.email,
+                    displayName: user.name || user.email
+                },
+                pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+                authenticatorSelection: { authenticatorAttachment: 'platform', userVerification: 'required', residentKey: 'discouraged' },
+                attestation: 'none',
+                timeout: 60000
+            }
+        });
+
+        return this.update({ credentialId: new Uint8Array(credential.rawId) });
+    },
+
+    removeAuthenticator() {
+        return this.update({ credentialId: null });
+    },
+
+    /**
+     * Asks the device to verify its owner. This only resumes a local
+     * session, so the assertion is not sent anywhere; the authenticator
+     * applies its own attempt limits. It can't unwrap the data keys, so it
+     * only works while this page holds them.
+     */
+    async verifyAuthenticator() {
+        if (!SecureStore.isUnlocked()) {
+            throw { status: 401, message: 'Enter your PIN to unlock patient data', code: 'LOCKED' };
+        }
+
+        const settings = await this.getSettings();
+        if (!settings?.credentialId) {
+            throw { status: 400, message: 'Device unlock is not set up', code: 'NO_AUTHENTICATOR' };
+        }
+
+        await navigator.credentials.get({
+            publicKey: {
+                challenge: crypto.getRandomValues(new Uint8Array(32)),
+                allowCredentials: [{ type: 'public-key', id: settings.credentialId, transports: ['internal'] }],
+                userVerification: 'required',
+                timeout: 60000
+            }
+        });
+
+        return this.update({ failures: 0 });
+    }
+};
@@ -0,0 +1,270 @@
+/**
+ * MedAI Audit Log
+ * Append-only IndexedDB record of who viewed, printed, shared, downloaded,
+ * signed off or deleted a scan. Events are never updated or removed; a
+ * separate upload mark tracks how far the backend has been sent.
+ * The log outlives sign-out (events may still be waiting to upload), so
+ * it is not encrypted and holds no patient identifiers: scans are named by
+ * entry and study ID, patients by a keyed hash. The hash key belongs to
+ * the log, not the session, so references stay comparable across
+ * sign-ins and while the dashboard is locked. It is a pseudonym rather
+ * than encryption: with the device's storage, short IDs can be guessed.
+ * Staff identity is kept as recorded, since it is what the log is for.
+ */
+
+const AuditLog = {
+    DB_NAME: 'medai_audit',
+    DB_VERSION: 1,
+    EVENTS: 'events',
+    META: 'meta',
+    UPLOAD_BATCH: 200,
+
+    ACTIONS: {
+        analyze: 'Analyzed',
+        view: 'Viewed',
+        print: 'Printed',
+        download: 'Downloaded',
+        share: 'Shared',
+        review: 'Signed off',
+        delete: 'Deleted',
+        export: 'Exported audit log'
+    },
+
+    db: null,
+    refKey: null,
+    uploading: null,
+
+    // ==================== DATABASE ====================
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.EVENTS)) {
+                    const events = db.createObjectStore(this.EVENTS, { keyPath: 'seq', autoIncrement: true });
+                    events.createIndex('timestamp', 'timestamp');
+                    events.createIndex('entryId', 'entryId');
+                }
+                if (!db.objectStoreNames.contains(this.META)) {
+                    db.createObjectStore(this.META, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async run(storeName, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // ==================== PATIENT REFERENCES ====================
+    async getRefKey() {
+        if (!this.refKey) {
+            this.refKey = this.loadRefKey();
+            // Don't cache a failure: the next call tries again
+            this.refKey.catch(() => { this.refKey = null; });
+        }
+        return this.refKey;
+    },
+
+    async loadRefKey() {
+        const stored = await this.run(this.META, 'readonly', store => store.get('refKey'));
+        if (stored) return stored.value;
+
+        const key = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        try {
+            await this.run(this.META, 'readwrite', store => store.add({ key: 'refKey', value: key }));
+            return key;
+        } catch (error) {
+            // Another tab created one first; use theirs
+            return (await this.run(this.META, 'readonly', store => store.get('refKey'))).value;
+        }
+    },
+
+    /**
+     * Stable keyed hash of a patient ID, the same on this device for every
+     * user and session.
+     */
+    async reference(patientId) {
+        const key = await this.getRefKey();
+        const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(String(patientId)));
+        return Array.from(new Uint8Array(mac).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // ==================== WRITES ====================
+    /**
+     * Records an action. `entry` is the history entry acted on (or null
+     * for actions on the log itself); `details` is any extra context.
+     */
+    async record(action, entry = null, details = {}) {
+        const user = window.MedAI?.getUser?.() || null;
+        const event = {
+            id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+            timestamp: Date.now(),
+            action,
+            entryId: entry?.id ?? null,
+            studyId: entry?.studyId || null,
+            patientRef: entry?.patient?.id ? await this.reference(entry.patient.id) : null,
+            user: user ? { name: user.name, email: user.email, role: user.role } : null,
+            details
+        };
+
+        const seq = await this.run(this.EVENTS, 'readwrite', store => store.add(event));
+        return { ...event, seq };
+    },
+
+    // ==================== READS ====================
+    count() {
+        return this.run(this.EVENTS, 'readonly', store => store.count());
+    },
+
+    getAll() {
+        return this.run(this.EVENTS, 'readonly', store => store.getAll());
+    },
+
+    /**
+     * Newest-first page of events, optionally filtered by action and a
+     * free-text match on user or study. Patients are only stored as a
+     * reference, so a patient ID has to match exactly.
+     */
+    async query({ action = null, search = '', offset = 0, limit = 100 } = {}) {
+        const db = await this.open();
+        const term = search.trim().toLowerCase();
+        const patientRef = term ? await this.reference(search.trim()) : null;
+
+        const matches = (event) => {
+            if (action && event.action !== action) return false;
+            if (!term) return true;
+            if (patientRef && event.patientRef === patientRef) return true;
+            return [event.user?.name, event.user?.email, event.studyId]
+                .some(value => value && value.toLowerCase().includes(term));
+        };
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.EVENTS, 'readonly');
+            const events = [];
+            let skipped = 0;
+
+            const request = tx.objectStore(this.EVENTS).openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || events.length >= limit) return;
+
+                if (matches(cursor.value)) {
+                    if (skipped < offset) skipped++;
+                    else events.push(cursor.value);
+                }
+                cursor.continue();
+            };
+
+            tx.oncomplete = () => resolve(events);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    // ==================== UPLOAD ====================
+    async getUploadedSeq() {
+        const mark = await this.run(this.META, 'readonly', store => store.get('uploadedSeq'));
+        return mark?.value || 0;
+    },
+
+    async pendingCount() {
+        const uploaded = await this.getUploadedSeq();
+        return this.run(this.EVENTS, 'readonly', store => store.count(IDBKeyRange.lowerBound(uploaded, true)));
+    },
+
+    /**
+     * Sends events the backend has not seen yet, oldest first, in batches.
+     * Events carry a stable `id` so the server can drop duplicates if two
+     * tabs upload at once. Resolves to the number of events sent.
+     */
+    upload({ endpoint, token }) {
+        // One upload at a time per page
+        if (!this.uploading) {
+            this.uploading = this.uploadPending(endpoint, token).finally(() => {
+                this.uploading = null;
+            });
+        }
+        return this.uploading;
+    },
+
+    async uploadPending(endpoint, token) {
+        let sent = 0;
+
+        while (true) {
+            const uploaded = await this.getUploadedSeq();
+            const batch = await this.run(this.EVENTS, 'readonly', store =>
+                store.getAll(IDBKeyRange.lowerBound(uploaded, true), this.UPLOAD_BATCH));
+            if (!batch.length) return sent;
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ events: batch })
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw {
+                    status: response.status,
+                    message: data.message || 'Audit upload failed',
+                    code: data.code,
+                    data
+                };
+            }
+
+            const lastSeq = batch[batch.length - 1].seq;
+            await this.run(this.META, 'readwrite', store => store.put({ key: 'uploadedSeq', value: lastSeq }));
+            sent += batch.length;
+        }
+    },
+
+    // ==================== EXPORT ====================
+    toJSON(events) {
+        return JSON.stringify(events, null, 2);
+    },
+
+    toCSV(events) {
+        const columns = ['timestamp', 'action', 'user', 'email', 'role', 'entryId', 'studyId', 'patientRef', 'details', 'id'];
+        const cell = (value) => {
+            let str = value === null || value === undefined ? '' : String(value);
+            // Spreadsheets run cells starting with these as formulas
+            if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+            return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+
+        const rows = events.map(event => [
+            new Date(event.timestamp).toISOString(),
+            event.action,
+            event.user?.name,
+            event.user?.email,
+            event.user?.role,
+            event.entryId,
+            event.studyId,
+            event.patientRef,
+            Object.keys(event.details || {}).length ? JSON.stringify(event.details) : '',
+            event.id
+        ].map(cell).join(','));
+
+        return [columns.join(','), ...rows].join('\r\n');
+    }
+};
@@ -1,6 +1,7 @@
 /**
  * MedAI Authentication Module
- * Handles login, registration, password reset, and token management
+ * Handles login, registration, password reset, and token management.
+ * The stored token and profile are encrypted with SecureStore.
  */
 
 // ==================== CONFIGURATION ====================
@@ -11,11 +12,30 @@ const CONFIG = {
     USER_KEY: "medai_user",
     REMEMBER_KEY: "medai_remember",
     AUTH_EVENT: "medai-auth-changed",
+    AUTH_CHANNEL: "medai-auth", // BroadcastChannel telling other tabs about sign-outs
+    SESSION_EVENT: "medai-session-expiring",
+    TOKEN_REFRESH_MARGIN: 5 * 60 * 1000, // Refresh silently this long before the token expires
+    TOKEN_WARNING_MARGIN: 2 * 60 * 1000, // Warn the user if it still hasn't been refreshed by now
+    TOKEN_RETRY_DELAY: 30 * 1000,
+    SESSION_RECHECK_INTERVAL: 60 * 1000, // At most this often, a returning tab asks if its session was revoked
+    // New passwords must meet every enabled rule; the backend enforces the same policy
+    PASSWORD_POLICY: {
+        MIN_LENGTH: 10,
+        MAX_LENGTH: 128,
+        REQUIRE_UPPERCASE: true,
+        REQUIRE_LOWERCASE: true,
+        REQUIRE_NUMBER: true,
+        REQUIRE_SPECIAL: true,
+        BLOCK_COMMON: true, // Checked against password-blocklist.js on the device
+        BLOCK_PERSONAL_INFO: true // No name or email inside the password
+    },
     ROUTES: {
+        HOME: "index.html",
         DASHBOARD: "dash.html",
         LOGIN: "login.html",
         REGISTER: "reg.html",
-        FORGOT_PASSWORD: "forgot-password.html"
+        FORGOT_PASSWORD: "forgot-password.html",
+        RESET_PASSWORD: "reset-password.html"
     }
 };
 
@@ -24,68 +44,212 @@ const AuthState = {
     currentUser: null,
     token: null,
     isAuthenticated: false,
+    ready: null,
+    remember: false,
+    expiresAt: null, // From the token's `exp` claim; null if it has none
+    refreshing: null,
+    sessionTimer: null,
+    channel: null,
+    checkedAt: 0, // Last time the server confirmed the session
+    savedSnapshot: null, // Plaintext of what storage holds, to skip no-op saves
 
     init() {
-        this.loadFromStorage();
+        // Decryption is async; pages wait on `ready` before reading state
+        this.ready = this.loadFromStorage();
         this.setupAuthListener();
         return this;
     },
 
-    loadFromStorage() {
+    /**
+     * Reads and decrypts the stored session. `revalidate: false` skips the
+     * server check, for when another tab has just written the session.
+     */
+    async loadFromStorage({ revalidate = true } = {}) {
         try {
             // Check for remembered session first
             const remember = localStorage.getItem(CONFIG.REMEMBER_KEY) === 'true';
             const storage = remember ? localStorage : sessionStorage;
             
-            this.token = storage.getItem(CONFIG.TOKEN_KEY);
+            const storedToken = storage.getItem(CONFIG.TOKEN_KEY);
             const userJson = storage.getItem(CONFIG.USER_KEY);
             
-            if (this.token && userJson) {
-                this.currentUser = JSON.parse(userJson);
+            if (storedToken && userJson) {
+                const sealed = SecureStore.isSealed(storedToken);
+                this.token = sealed ? await SecureStore.decryptString(storedToken, SecureStore.SESSION) : storedToken;
+                this.currentUser = sealed ? await SecureStore.getItem(storage, CONFIG.USER_KEY, SecureStore.SESSION) : JSON.parse(userJson);
                 this.isAuthenticated = true;
+                this.remember = remember;
+                this.expiresAt = this.getTokenExpiry(this.token);
+                if (sealed) this.savedSnapshot = this.snapshot(remember);
+
+                if (this.isExpired()) {
+                    await this.clear('expired');
+                    return;
+                }
+
+                // Sessions saved before encryption was added are sealed now
+                if (!sealed) await this.save(remember);
+                this.checkSession();
+                if (!revalidate) return;
                 
-                // Validate token with server (silent)
-                this.validateToken().catch(() => {
-                    // Token invalid, clear storage
-                    this.clear();
+                // Validate token with server (silent); offline keeps the session
+                this.validateToken().then(async (valid) => {
+                    if (valid === false && !(await this.refreshToken())) this.expire();
                 });
             }
         } catch (error) {
+            // Includes sealed values whose key is gone (signed out elsewhere).
+            // Not a sign-out, so patient data stays sealed rather than wiped
             console.error("Failed to load auth state:", error);
-            this.clear();
+            await this.clear('expired');
         }
     },
 
+    /**
+     * Checks the token against the profile endpoint and stores the fresh
+     * profile. Resolves false when the server rejects the token and null
+     * when it can't say (offline, server error).
+     */
     async validateToken() {
-        if (!this.token) return false;
+        if (!this.token || this.isExpired()) return false;
         
         try {
             const response = await fetch(`${CONFIG.API_BASE}/auth/me`, {
                 headers: {
+                    'Accept': 'application/json',
                     'Authorization': `Bearer ${this.token}`
                 }
             });
             
-            if (!response.ok) {
-                this.clear();
-                return false;
-            }
+            if (response.status === 401 || response.status === 403) return false;
+            if (!response.ok) return null;
             
+            this.checkedAt = Date.now();
             const data = await response.json();
-            this.currentUser = data.user;
+            if (data.user) {
+                this.currentUser = data.user;
+                await this.save(this.remember);
+            }
             return true;
         } catch (error) {
             console.error("Token validation failed:", error);
+            return null;
+        }
+    },
+
+    // ==================== TOKEN EXPIRY ====================
+    // Reads a JWT payload without verifying it; only used for timing
+    decodeToken(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    getTokenExpiry(token) {
+        const exp = this.decodeToken(token)?.exp;
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    },
+
+    isExpired() {
+        return this.expiresAt !== null && Date.now() >= this.expiresAt;
+    },
+
+    /**
+     * Refreshes, warns or expires depending on how close the token is to
+     * expiry, then sleeps until the next of those points. Also runs when
+     * the tab becomes visible, since background timers are throttled.
+     */
+    checkSession() {
+        clearTimeout(this.sessionTimer);
+        if (!this.isAuthenticated || this.expiresAt === null) return;
+
+        const remaining = this.expiresAt - Date.now();
+        if (remaining <= 0) {
+            this.expire();
+            return;
+        }
+
+        if (remaining <= CONFIG.TOKEN_WARNING_MARGIN) {
+            window.dispatchEvent(new CustomEvent(CONFIG.SESSION_EVENT, {
+                detail: { expiresAt: this.expiresAt }
+            }));
+        }
+        if (remaining <= CONFIG.TOKEN_REFRESH_MARGIN) this.refreshToken();
+
+        const milestones = [remaining - CONFIG.TOKEN_REFRESH_MARGIN, remaining - CONFIG.TOKEN_WARNING_MARGIN, remaining];
+        if (remaining <= CONFIG.TOKEN_REFRESH_MARGIN) milestones.push(CONFIG.TOKEN_RETRY_DELAY);
+        // setTimeout overflows past ~24.8 days
+        const wait = Math.min(...milestones.filter(ms => ms > 0), 2 ** 31 - 1);
+        this.sessionTimer = setTimeout(() => this.checkSession(), wait);
+    },
+
+    /**
+     * Exchanges the current token for a new one. Concurrent callers share
+     * one request. Resolves true when the session was extended.
+     */
+    refreshToken() {
+        if (!this.refreshing) {
+            this.refreshing = this.requestRefresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    },
+
+    async requestRefresh() {
+        if (!this.token) return false;
+
+        try {
+            const result = await API.auth.refresh();
+            this.token = result.token;
+            if (result.user) this.currentUser = result.user;
+            await this.save(this.remember);
+            return true;
+        } catch (error) {
+            // checkSession retries until the token actually expires
+            console.warn("Token refresh failed:", error);
             return false;
         }
     },
 
-    save(remember = false) {
+    // Stores a changed profile; the auth event lets pages show it
+    updateUser(user) {
+        this.currentUser = user;
+        return this.save(this.remember);
+    },
+
+    // The session ran out or the server rejected it
+    expire() {
+        // Already ended, e.g. revoked while a refresh was in flight
+        if (!this.isAuthenticated) return Promise.resolve();
+        return this.clear('expired');
+    },
+
+    snapshot(remember) {
+        return JSON.stringify([this.token, this.currentUser, remember]);
+    },
+
+    async save(remember = false) {
+        // Sealing uses a fresh IV, so every write changes the stored values
+        // and fires storage events in other tabs: only write real changes
+        const snapshot = this.snapshot(remember);
+        if (snapshot === this.savedSnapshot) return;
+
         try {
+            // Creates the session key for this user, wiping anyone else's data
+            await SecureStore.unlockFor(this.currentUser.email);
+
             const storage = remember ? localStorage : sessionStorage;
-            storage.setItem(CONFIG.TOKEN_KEY, this.token);
-            storage.setItem(CONFIG.USER_KEY, JSON.stringify(this.currentUser));
+            storage.setItem(CONFIG.TOKEN_KEY, await SecureStore.encryptString(this.token, SecureStore.SESSION));
+            await SecureStore.setItem(storage, CONFIG.USER_KEY, this.currentUser, SecureStore.SESSION);
             storage.setItem(CONFIG.REMEMBER_KEY, remember);
+            this.savedSnapshot = snapshot;
+            this.remember = remember;
+            this.expiresAt = this.getTokenExpiry(this.token);
+            this.checkSession();
             
             // Dispatch auth event
             window.dispatchEvent(new CustomEvent(CONFIG.AUTH_EVENT, {
@@ -96,7 +260,20 @@ const AuthState = {
         }
     },
 
-    clear() {
+    /**
+     * Ends the session on this device. `reason` tells listeners why:
+     * 'signed-out', 'expired', 'revoked' or 'locked-out' (too many wrong
+     * app lock PINs). Other tabs are told too, unless the news came from
+     * one of them. Only signing out wipes patient data;
+     * otherwise it stays sealed for the same user's next sign-in (anyone
+     * else signing in wipes it). Resolves once that is done.
+     */
+    clear(reason = 'signed-out', { broadcast = true } = {}) {
+        clearTimeout(this.sessionTimer);
+        if (broadcast) {
+            this.channel?.postMessage({ type: 'signed-out', reason });
+        }
+
         // Clear all storages
         localStorage.removeItem(CONFIG.TOKEN_KEY);
         localStorage.removeItem(CONFIG.USER_KEY);
@@ -105,21 +282,115 @@ const AuthState = {
         sessionStorage.removeItem(CONFIG.USER_KEY);
         
         this.currentUser = null;
+        this.savedSnapshot = null;
         this.token = null;
         this.isAuthenticated = false;
+        this.expiresAt = null;
         
         // Dispatch auth event
         window.dispatchEvent(new CustomEvent(CONFIG.AUTH_EVENT, {
-            detail: { authenticated: false }
+            detail: { authenticated: false, reason }
         }));
+
+        if (reason !== 'signed-out') {
+            SecureStore.lock();
+            return Promise.resolve();
+        }
+
+        return SecureStore.wipe().catch(error => {
+            console.error("Failed to wipe local data:", error);
+        });
     },
 
     setupAuthListener() {
         window.addEventListener('storage', (event) => {
-            if (event.key === CONFIG.TOKEN_KEY || event.key === CONFIG.USER_KEY) {
-                this.loadFromStorage();
+            if (event.key !== CONFIG.TOKEN_KEY && event.key !== CONFIG.USER_KEY) return;
+
+            if (event.key === CONFIG.TOKEN_KEY && event.newValue === null) {
+                // Another tab ended a remembered session. The broadcast below
+                // says whether it signed out or expired; without one, assume
+                // a sign-out
+                if (this.isAuthenticated && !this.channel) this.clear('signed-out', { broadcast: false });
+            } else {
+                // Another tab saved: pick up its session, no server round trip
+                this.loadFromStorage({ revalidate: false });
             }
         });
+
+        // Tabs keep their own sessionStorage, which raises no storage
+        // events, so sign-outs are also broadcast to every open tab
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(CONFIG.AUTH_CHANNEL);
+            this.channel.onmessage = ({ data }) => {
+                if (data?.type === 'signed-out' && this.isAuthenticated) {
+                    this.clear(data.reason, { broadcast: false });
+                }
+            };
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) return;
+            this.checkSession();
+            this.recheckSession();
+        });
+    },
+
+    /**
+     * Asks the server whether the session still stands, e.g. after it was
+     * revoked from another device. API.request ends a rejected session.
+     */
+    async recheckSession() {
+        if (!this.isAuthenticated || Date.now() - this.checkedAt < CONFIG.SESSION_RECHECK_INTERVAL) return;
+        this.checkedAt = Date.now();
+
+        try {
+            await API.auth.getProfile();
+        } catch (error) {
+            // Offline or server trouble: keep the session
+            console.warn("Session check failed:", error);
+        }
+    }
+};
+
+// ==================== PERMISSIONS ====================
+const Permissions = {
+    // Roles offered at registration
+    ROLES: {
+        user: 'General Practitioner',
+        doctor: 'Radiologist',
+        admin: 'Hospital Admin'
+    },
+
+    // The backend enforces the same rules; this decides what the UI offers
+    GRANTS: {
+        user: ['dashboard.view'],
+        doctor: ['dashboard.view', 'review.signoff'],
+        admin: ['dashboard.view', 'analytics.view', 'history.delete', 'audit.view', 'templates.manage']
+    },
+
+    // Pages that need a permission beyond being signed in
+    ROUTES: {
+        [CONFIG.ROUTES.DASHBOARD]: 'dashboard.view'
+    },
+
+    // Unknown or missing roles get the least privileged one
+    roleOf(user = AuthState.currentUser) {
+        const role = String(user?.role || '').toLowerCase();
+        return this.GRANTS[role] ? role : 'user';
+    },
+
+    roleLabel(user = AuthState.currentUser) {
+        return this.ROLES[this.roleOf(user)];
+    },
+
+    can(permission, user = AuthState.currentUser) {
+        return Boolean(user) && this.GRANTS[this.roleOf(user)].includes(permission);
+    },
+
+    // Permission required for the page at `path`, if any
+    forRoute(path) {
+        const route = Object.keys(this.ROUTES).find(route => path.endsWith(route));
+        return route ? this.ROUTES[route] : null;
     }
 };
 
@@ -168,13 +439,90 @@ const Validators = {
         return re.test(String(email).toLowerCase());
     },
 
-    password(password) {
+    /**
+     * Checks a new password against CONFIG.PASSWORD_POLICY. `context` holds
+     * the account's { email, name } so they can't be reused. Returns the
+     * first failed rule's message.
+     */
+    password(password, context = {}) {
+        const failed = this.passwordRules(password, context).find(rule => rule.enabled && !rule.met);
         return {
-            valid: password.length >= 8,
-            message: "Password must be at least 8 characters"
+            valid: !failed,
+            message: failed ? failed.message : ''
         };
     },
 
+    // Every policy rule with whether `password` meets it, for checklists
+    passwordRules(password, { email = '', name = '' } = {}) {
+        const policy = CONFIG.PASSWORD_POLICY;
+        const blocklist = typeof PasswordBlocklist !== 'undefined' ? PasswordBlocklist : null;
+
+        return [
+            {
+                id: 'length',
+                enabled: true,
+                met: password.length >= policy.MIN_LENGTH && password.length <= policy.MAX_LENGTH,
+                label: `${policy.MIN_LENGTH} to ${policy.MAX_LENGTH} characters`,
+                message: password.length > policy.MAX_LENGTH ?
+                    `Password must be at most ${policy.MAX_LENGTH} characters` :
+                    `Password must be at least ${policy.MIN_LENGTH} characters`
+            },
+            {
+                id: 'uppercase',
+                enabled: policy.REQUIRE_UPPERCASE,
+                met: /[A-Z]/.test(password),
+                label: 'At least one uppercase letter',
+                message: 'Password must include an uppercase letter'
+            },
+            {
+                id: 'lowercase',
+                enabled: policy.REQUIRE_LOWERCASE,
+                met: /[a-z]/.test(password),
+                label: 'At least one lowercase letter',
+                message: 'Password must include a lowercase letter'
+            },
+            {
+                id: 'number',
+                enabled: policy.REQUIRE_NUMBER,
+                met: /[0-9]/.test(password),
+                label: 'At least one number',
+                message: 'Password must include a number'
+            },
+            {
+                id: 'special',
+                enabled: policy.REQUIRE_SPECIAL,
+                met: /[^A-Za-z0-9]/.test(password),
+                label: 'At least one special character (!@#$%^&*)',
+                message: 'Password must include a special character'
+            },
+            {
+                id: 'common',
+                enabled: policy.BLOCK_COMMON && Boolean(blocklist),
+                met: Boolean(password) && !blocklist?.has(password),
+                label: 'Not a common or breached password',
+                message: 'This password is too common. Choose something harder to guess'
+            },
+            {
+                id: 'personal',
+                enabled: policy.BLOCK_PERSONAL_INFO,
+                met: Boolean(password) && !this.containsPersonalInfo(password, email, name),
+                label: "Doesn't contain your name or email",
+                message: "Password can't contain your name or email address"
+            }
+        ];
+    },
+
+    // Parts of 3+ characters from the email's local part and the name,
+    // ignoring titles like "Dr."
+    containsPersonalInfo(password, email, name) {
+        const lower = password.toLowerCase();
+        const local = String(email).toLowerCase().split('@')[0];
+        const parts = [local, ...local.split(/[^a-z0-9]+/), ...String(name).toLowerCase().split(/[^a-z0-9]+/)]
+            .filter(part => part.length >= 3 && !['dr', 'mr', 'mrs', 'ms', 'prof'].includes(part));
+
+        return parts.some(part => lower.includes(part));
+    },
+
     name(name) {
         return {
             valid: name.length >= 2 && name.length <= 50,
@@ -182,6 +530,32 @@ const Validators = {
         };
     },
 
+    /**
+     * Scores a password 0 (very weak) to 4. It stays at Fair or below until
+     * every rule passes, and a common or personal password is Very Weak.
+     */
+    strength(password, context = {}) {
+        const rules = this.passwordRules(password, context).filter(rule => rule.enabled);
+        const met = rules.filter(rule => rule.met).length;
+        const guessable = rules.some(rule => (rule.id === 'common' || rule.id === 'personal') && !rule.met);
+        let score;
+
+        if (!password || guessable) {
+            score = 0;
+        } else if (met < rules.length) {
+            score = Math.min(2, Math.floor(3 * met / rules.length));
+        } else {
+            // Length beyond the minimum is what really slows guessing
+            score = password.length >= CONFIG.PASSWORD_POLICY.MIN_LENGTH + 4 ? 4 : 3;
+        }
+
+        return {
+            rules,
+            score,
+            label: ['Very Weak', 'Weak', 'Fair', 'Good', 'Strong'][score]
+        };
+    },
+
     match(password, confirm) {
         return {
             valid: password === confirm,
@@ -192,7 +566,7 @@ const Validators = {
 
 // ==================== API CLIENT ====================
 const API = {
-    async request(endpoint, options = {}) {
+    async request(endpoint, { retried = false, ...options } = {}) {
         const url = `${CONFIG.API_BASE}${endpoint}`;
         
         const defaultHeaders = {
@@ -215,7 +589,8 @@ const API = {
 
         try {
             const response = await fetch(url, config);
-            const data = await response.json();
+            // 204 No Content (e.g. a revoked session) has no body to parse
+            const data = await response.json().catch(() => ({}));
 
             if (!response.ok) {
                 throw {
@@ -228,10 +603,16 @@ const API = {
 
             return data;
         } catch (error) {
-            if (error.status === 401) {
-                // Token expired or invalid
-                AuthState.clear();
-                redirectToLogin();
+            // A revoked session can't be refreshed. Any other rejected token
+            // gets one silent refresh and retry; after that the session ends
+            // and the page explains why instead of redirecting
+            if (error.code === 'SESSION_REVOKED' && AuthState.token) {
+                await AuthState.clear('revoked');
+            } else if (error.status === 401 && AuthState.token && !retried) {
+                if (await AuthState.refreshToken()) {
+                    return API.request(endpoint, { ...options, retried: true });
+                }
+                await AuthState.expire();
             }
             throw error;
         }
@@ -260,16 +641,179 @@ const API = {
             });
         },
 
+        // Reset tokens are not sessions: a 401 here must not refresh or end one
+        async verifyResetToken(token) {
+            return API.request('/auth/reset-password/verify', {
+                method: 'POST',
+                body: JSON.stringify({ token }),
+                retried: true
+            });
+        },
+
         async resetPassword(token, newPassword) {
             return API.request('/auth/reset-password', {
                 method: 'POST',
-                body: JSON.stringify({ token, newPassword })
+                body: JSON.stringify({ token, newPassword }),
+                retried: true
             });
         },
 
         async getProfile() {
             return API.request('/auth/me');
+        },
+
+        // Partial update of the signed-in user's profile and preferences
+        async updateProfile(changes) {
+            return API.request('/auth/me', {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+        },
+
+        // A wrong current password may answer 401; that must not end the session
+        async changePassword(currentPassword, newPassword) {
+            return API.request('/auth/change-password', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword }),
+                retried: true
+            });
+        },
+
+        // Marked as a retry so a 401 here doesn't trigger another refresh
+        async refresh() {
+            return API.request('/auth/refresh', { method: 'POST', retried: true });
+        },
+
+        // Second step of a login that answered { mfaRequired, mfaToken, methods }
+        async verifyMfa(mfaToken, method, payload) {
+            return API.request('/auth/mfa/verify', {
+                method: 'POST',
+                body: JSON.stringify({ mfaToken, method, ...payload })
+            });
+        },
+
+        async mfaKeyOptions(mfaToken) {
+            return API.request('/auth/mfa/webauthn/options', {
+                method: 'POST',
+                body: JSON.stringify({ mfaToken })
+            });
         }
+    },
+
+    // Devices signed in to the current account
+    sessions: {
+        async list() {
+            return API.request('/auth/sessions');
+        },
+
+        async revoke(sessionId) {
+            return API.request(`/auth/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+        },
+
+        // Every session except the one making the request
+        async revokeOthers() {
+            return API.request('/auth/sessions/revoke-others', { method: 'POST' });
+        },
+
+        async revokeAll() {
+            return API.request('/auth/sessions/revoke-all', { method: 'POST' });
+        }
+    },
+
+    // Second-factor enrollment for the signed-in user
+    mfa: {
+        async list() {
+            return API.request('/auth/mfa');
+        },
+
+        async setupTotp() {
+            return API.request('/auth/mfa/totp', { method: 'POST' });
+        },
+
+        async confirmTotp(setupId, code) {
+            return API.request('/auth/mfa/totp/confirm', {
+                method: 'POST',
+                body: JSON.stringify({ setupId, code })
+            });
+        },
+
+        async keyRegistrationOptions() {
+            return API.request('/auth/mfa/webauthn/register-options', { method: 'POST' });
+        },
+
+        async registerKey(label, credential) {
+            return API.request('/auth/mfa/webauthn', {
+                method: 'POST',
+                body: JSON.stringify({ label, credential })
+            });
+        },
+
+        async remove(factorId) {
+            return API.request(`/auth/mfa/factors/${encodeURIComponent(factorId)}`, { method: 'DELETE' });
+        },
+
+        async regenerateRecoveryCodes() {
+            return API.request('/auth/mfa/recovery-codes', { method: 'POST' });
+        }
+    }
+};
+
+// ==================== WEBAUTHN ====================
+// The server sends and expects binary fields as base64url strings
+const WebAuthn = {
+    isSupported() {
+        return Boolean(window.PublicKeyCredential && navigator.credentials);
+    },
+
+    toBuffer(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+        return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    },
+
+    fromBuffer(buffer) {
+        let binary = '';
+        new Uint8Array(buffer).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    decodeCredentials(list = []) {
+        return list.map(credential => ({ ...credential, id: this.toBuffer(credential.id) }));
+    },
+
+    // Signs the server's challenge with a registered key or passkey
+    async getAssertion(publicKey) {
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...publicKey,
+                challenge: this.toBuffer(publicKey.challenge),
+                allowCredentials: this.decodeCredentials(publicKey.allowCredentials)
+            }
+        });
+        return this.serialize(credential);
+    },
+
+    async createCredential(publicKey) {
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...publicKey,
+                challenge: this.toBuffer(publicKey.challenge),
+                user: { ...publicKey.user, id: this.toBuffer(publicKey.user.id) },
+                excludeCredentials: this.decodeCredentials(publicKey.excludeCredentials)
+            }
+        });
+        return this.serialize(credential);
+    },
+
+    serialize(credential) {
+        const { response } = credential;
+        const encoded = {};
+        ['clientDataJSON', 'attestationObject', 'authenticatorData', 'signature', 'userHandle'].forEach(key => {
+            if (response[key]) encoded[key] = this.fromBuffer(response[key]);
+        });
+        if (response.getTransports) encoded.transports = response.getTransports();
+
+        return { id: credential.id, rawId: this.fromBuffer(credential.rawId), type: credential.type, response: encoded };
     }
 };
 
@@ -328,17 +872,7 @@ const GoogleAuth = {
                 })
             });
 
-            // Save auth state
-            AuthState.token = result.token;
-            AuthState.currentUser = result.user;
-            AuthState.save(document.getElementById('remember')?.checked || false);
-            
-            Notification.show('Login successful! Redirecting...', 'success');
-            
-            // Redirect to dashboard
-            setTimeout(() => {
-                window.location.href = CONFIG.ROUTES.DASHBOARD;
-            }, 1000);
+            await completeSignIn(result, document.getElementById('remember')?.checked || false);
             
         } catch (error) {
             console.error("Google auth failed:", error);
@@ -389,6 +923,54 @@ function setupPasswordToggle() {
     });
 }
 
+// ==================== PASSWORD STRENGTH METER ====================
+/**
+ * Live feedback for a new-password field, using the meter and `req-*`
+ * checklist markup on reg.html. `getContext` supplies the { email, name }
+ * the password may not contain. Returns a function that re-checks, for
+ * when the context changes.
+ */
+function setupStrengthMeter(input, getContext = () => ({})) {
+    const segments = document.querySelectorAll('.strength-segment');
+    const text = document.getElementById('strength-text');
+
+    // The checklist follows CONFIG.PASSWORD_POLICY, not the static markup
+    Validators.passwordRules('').forEach(rule => {
+        const element = document.getElementById(`req-${rule.id}`);
+        if (!element) return;
+        element.classList.toggle('hidden', !rule.enabled);
+        (element.querySelector('span') || element).textContent = rule.label;
+    });
+
+    const update = () => {
+        const { rules, score, label } = Validators.strength(input.value, getContext());
+        const level = score <= 1 ? 'weak' : score <= 3 ? 'medium' : 'strong';
+
+        segments.forEach((segment, index) => {
+            segment.classList.remove('weak', 'medium', 'strong');
+            if (index < score) segment.classList.add(level);
+        });
+        if (text) {
+            text.textContent = input.value ? label : 'Enter password';
+        }
+
+        rules.forEach(rule => {
+            const element = document.getElementById(`req-${rule.id}`);
+            if (!element) return;
+            element.classList.toggle('met', rule.met);
+            element.classList.toggle('unmet', !rule.met);
+
+            const icon = element.querySelector('i');
+            if (icon) {
+                icon.className = rule.met ? 'fas fa-check-circle' : 'fas fa-times-circle';
+            }
+        });
+    };
+
+    input.addEventListener('input', update);
+    return update;
+}
+
 // ==================== REDIRECTION HELPER ====================
 function redirectToDashboard() {
     window.location.href = CONFIG.ROUTES.DASHBOARD;
@@ -402,6 +984,160 @@ function redirectToForgotPassword() {
     window.location.href = CONFIG.ROUTES.FORGOT_PASSWORD;
 }
 
+// ==================== TWO-STEP VERIFICATION ====================
+// Logins answer either with a session or with a second-factor challenge
+async function completeSignIn(result, remember) {
+    if (result.mfaRequired) {
+        MfaChallenge.start(result, remember);
+        return;
+    }
+
+    AuthState.token = result.token;
+    AuthState.currentUser = result.user;
+    await AuthState.save(remember);
+    
+    Notification.show('Login successful! Redirecting...', 'success');
+    
+    // Redirect to dashboard
+    setTimeout(() => {
+        window.location.href = CONFIG.ROUTES.DASHBOARD;
+    }, 1000);
+}
+
+// Second step of the login page: authenticator code, security key or recovery code
+const MfaChallenge = {
+    challenge: null, // { mfaToken, methods }
+    remember: false,
+    mode: 'totp',
+    bound: false,
+
+    el(id) {
+        return document.getElementById(id);
+    },
+
+    start(challenge, remember) {
+        const step = this.el('mfa-step');
+        if (!step) {
+            Notification.show('Two-step verification is required but not supported on this page', 'error');
+            return;
+        }
+
+        this.challenge = { ...challenge, methods: challenge.methods || ['totp'] };
+        this.remember = remember;
+        this.bind();
+
+        document.querySelectorAll('[data-login-step]').forEach(el => el.classList.add('hidden'));
+        step.classList.remove('hidden');
+
+        const { methods } = this.challenge;
+        this.el('mfa-webauthn').classList.toggle('hidden', !methods.includes('webauthn') || !WebAuthn.isSupported());
+        this.setMode(methods.includes('totp') ? 'totp' : 'recovery');
+        Notification.show('Confirm it\'s you to finish signing in', 'info');
+    },
+
+    bind() {
+        if (this.bound) return;
+        this.bound = true;
+
+        this.el('form-mfa').addEventListener('submit', (e) => this.submitCode(e));
+        this.el('mfa-webauthn').addEventListener('click', () => this.useSecurityKey());
+        this.el('mfa-use-recovery').addEventListener('click', () => this.setMode('recovery'));
+        this.el('mfa-use-totp').addEventListener('click', () => this.setMode('totp'));
+        this.el('mfa-cancel').addEventListener('click', () => this.cancel());
+    },
+
+    setMode(mode) {
+        const totp = mode === 'totp';
+        const input = this.el('mfa-code');
+        this.mode = mode;
+
+        this.el('mfa-code-label').textContent = totp ? 'Authentication code' : 'Recovery code';
+        this.el('mfa-help').textContent = totp ?
+            'Enter the 6-digit code from your authenticator app.' :
+            'Enter one of the recovery codes you saved when you set up two-step verification. Each code works once.';
+        input.value = '';
+        input.inputMode = totp ? 'numeric' : 'text';
+        input.maxLength = totp ? 6 : 24;
+        input.autocomplete = totp ? 'one-time-code' : 'off';
+
+        this.el('mfa-use-recovery').classList.toggle('hidden', !totp);
+        this.el('mfa-use-totp').classList.toggle('hidden', totp || !this.challenge.methods.includes('totp'));
+        input.focus();
+    },
+
+    async submitCode(e) {
+        e.preventDefault();
+        const code = this.el('mfa-code').value.replace(/\s/g, '');
+
+        if (this.mode === 'totp' && !/^\d{6}$/.test(code)) {
+            Notification.show('Enter the 6-digit code from your authenticator app', 'error');
+            return;
+        }
+        if (!code) {
+            Notification.show('Enter a recovery code', 'error');
+            return;
+        }
+
+        await this.verify(() => API.auth.verifyMfa(this.challenge.mfaToken, this.mode, { code }));
+    },
+
+    async useSecurityKey() {
+        await this.verify(async () => {
+            const { publicKey } = await API.auth.mfaKeyOptions(this.challenge.mfaToken);
+            const credential = await WebAuthn.getAssertion(publicKey);
+            return API.auth.verifyMfa(this.challenge.mfaToken, 'webauthn', { credential });
+        });
+    },
+
+    async verify(attempt) {
+        const submitBtn = this.el('mfaBtn');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await attempt();
+            await completeSignIn(result, this.remember);
+        } catch (error) {
+            console.error("Second-factor verification failed:", error);
+            this.handleError(error);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    },
+
+    handleError(error) {
+        let message = error.message || 'Verification failed. Please try again.';
+
+        if (error.name === 'NotAllowedError') {
+            message = 'Security key sign-in was cancelled or timed out';
+        } else if (error.code === 'INVALID_MFA_CODE') {
+            message = this.mode === 'totp' ?
+                'That code didn\'t work. Check your device\'s clock and try the newest code.' :
+                'That recovery code is invalid or has already been used';
+        } else if (error.code === 'TOO_MANY_ATTEMPTS' || error.status === 429) {
+            message = 'Too many attempts. Please wait a few minutes and sign in again.';
+        } else if (error.code === 'MFA_EXPIRED' || error.code === 'MFA_TOKEN_INVALID') {
+            message = 'Verification timed out. Please sign in again.';
+            this.cancel();
+        }
+
+        Notification.show(message, 'error');
+        this.el('mfa-code').value = '';
+    },
+
+    // Back to the password step; the challenge can't be reused
+    cancel() {
+        this.challenge = null;
+        this.el('mfa-step').classList.add('hidden');
+        document.querySelectorAll('[data-login-step]').forEach(el => el.classList.remove('hidden'));
+
+        const password = document.getElementById('password');
+        if (password) {
+            password.value = '';
+            password.focus();
+        }
+    }
+};
+
 // ==================== LOGIN PAGE HANDLER ====================
 function initLoginPage() {
     const form = document.getElementById('form-login');
@@ -449,18 +1185,7 @@ function initLoginPage() {
 
         try {
             const result = await API.auth.login(email, password);
-            
-            // Save auth state
-            AuthState.token = result.token;
-            AuthState.currentUser = result.user;
-            AuthState.save(remember);
-            
-            Notification.show('Login successful! Redirecting...', 'success');
-            
-            // Redirect to dashboard
-            setTimeout(() => {
-                window.location.href = CONFIG.ROUTES.DASHBOARD;
-            }, 1000);
+            await completeSignIn(result, remember);
             
         } catch (error) {
             console.error("Login failed:", error);
@@ -497,6 +1222,18 @@ function initRegisterPage() {
     // Password toggle
     setupPasswordToggle();
 
+    // Strength meter; the name and email typed so far can't be in the password
+    const passwordInput = document.getElementById('password');
+    if (passwordInput) {
+        const updateStrength = setupStrengthMeter(passwordInput, () => ({
+            email: document.getElementById('email')?.value.trim(),
+            name: document.getElementById('fullname')?.value.trim()
+        }));
+        ['email', 'fullname'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', updateStrength);
+        });
+    }
+
     // Form submission
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -519,7 +1256,7 @@ function initRegisterPage() {
             return;
         }
 
-        const passwordValidation = Validators.password(password);
+        const passwordValidation = Validators.password(password, { email, name: fullname });
         if (!passwordValidation.valid) {
             Notification.show(passwordValidation.message, 'error');
             return;
@@ -548,7 +1285,7 @@ function initRegisterPage() {
             // Save auth state
             AuthState.token = result.token;
             AuthState.currentUser = result.user;
-            AuthState.save(false); // Don't remember by default for new accounts
+            await AuthState.save(false); // Don't remember by default for new accounts
             
             Notification.show('Account created successfully! Redirecting...', 'success');
             
@@ -564,8 +1301,8 @@ function initRegisterPage() {
             
             if (error.code === 'USER_EXISTS' || error.code === 'DUPLICATE_EMAIL') {
                 errorMessage = 'An account with this email already exists';
-            } else if (error.code === 'PASSWORD_TOO_SHORT') {
-                errorMessage = 'Password must be at least 8 characters';
+            } else if (error.code === 'PASSWORD_TOO_SHORT' || error.code === 'PASSWORD_TOO_WEAK') {
+                errorMessage = error.message || 'Password does not meet the password policy';
             } else if (error.code === 'VALIDATION_ERROR') {
                 errorMessage = 'Please check your inputs';
             }
@@ -640,10 +1377,154 @@ function initForgotPasswordPage() {
     });
 }
 
+// ==================== RESET PASSWORD PAGE HANDLER ====================
+// Reset links that can't be used, by error code: [title, message]
+const RESET_LINK_PROBLEMS = {
+    TOKEN_EXPIRED: ['Link Expired', 'This password reset link has expired. Request a new one and use it soon after it arrives.'],
+    TOKEN_USED: ['Link Already Used', "This link has already been used to reset your password. If that wasn't you, request a new link and change your password right away."],
+    INVALID_TOKEN: ['Invalid Link', "This reset link isn't valid. Make sure you opened the complete link from the email, or request a new one."]
+};
+
+function resetLinkProblem(error) {
+    if (RESET_LINK_PROBLEMS[error.code]) return error.code;
+    // Other codes (e.g. PASSWORD_TOO_WEAK) are about the request, not the link
+    if (error.code) return null;
+    if (error.status === 410) return 'TOKEN_EXPIRED';
+    if (error.status === 404) return 'INVALID_TOKEN';
+    // A plain 400 may be the server rejecting the new password
+    return null;
+}
+
+function initResetPasswordPage() {
+    const form = document.getElementById('form-reset-password');
+    if (!form) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const intro = document.getElementById('reset-intro');
+    const passwordInput = document.getElementById('password');
+    const confirmInput = document.getElementById('confirm-password');
+    const submitBtn = document.getElementById('resetBtn');
+    let account = {}; // { email, name } from the link check, kept out of the password
+
+    // Keep the token out of history and anything the page links to
+    if (token) {
+        params.delete('token');
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    }
+
+    const showProblem = (problem) => {
+        const [title, message] = RESET_LINK_PROBLEMS[problem];
+        document.getElementById('reset-invalid-title').textContent = title;
+        document.getElementById('reset-invalid-message').textContent = message;
+        document.getElementById('reset-card').classList.add('hidden');
+        document.getElementById('reset-invalid').classList.remove('hidden');
+    };
+
+    setupPasswordToggle();
+    const updateStrength = setupStrengthMeter(passwordInput, () => account);
+
+    const enableForm = (details = {}) => {
+        account = { email: details.email || '', name: details.name || '' };
+        intro.textContent = account.email ?
+            `Enter a new password for ${account.email}.` :
+            'Enter a new password for your account.';
+        [passwordInput, confirmInput, submitBtn].forEach(el => { el.disabled = false; });
+        updateStrength();
+        passwordInput.focus();
+    };
+
+    confirmInput.addEventListener('input', () => {
+        const mismatch = confirmInput.value && !Validators.match(passwordInput.value, confirmInput.value).valid;
+        document.getElementById('confirm-password-error').textContent = mismatch ? 'Passwords do not match' : '';
+        document.getElementById('confirm-password-group').classList.toggle('error', Boolean(mismatch));
+    });
+
+    if (!token) {
+        showProblem('INVALID_TOKEN');
+        return;
+    }
+
+    // Check the link up front so nobody types a password for a dead link.
+    // If the check itself fails (offline, server down), the submit decides.
+    API.auth.verifyResetToken(token)
+        .then(result => enableForm(result))
+        .catch(error => {
+            const problem = resetLinkProblem(error);
+            if (problem) {
+                showProblem(problem);
+            } else {
+                console.error("Reset link check failed:", error);
+                enableForm();
+            }
+        });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const password = passwordInput.value;
+        const confirm = confirmInput.value;
+
+        const passwordValidation = Validators.password(password, account);
+        if (!passwordValidation.valid) {
+            Notification.show(passwordValidation.message, 'error');
+            return;
+        }
+
+        const matchValidation = Validators.match(password, confirm);
+        if (!matchValidation.valid) {
+            Notification.show(matchValidation.message, 'error');
+            return;
+        }
+
+        // Show loading state
+        const originalText = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Updating...';
+
+        try {
+            await API.auth.resetPassword(token, password);
+
+            document.getElementById('reset-card').classList.add('hidden');
+            document.getElementById('success-state').classList.remove('hidden');
+            Notification.show('Password updated! You can now sign in.', 'success');
+
+        } catch (error) {
+            console.error("Password reset failed:", error);
+
+            const problem = resetLinkProblem(error);
+            if (problem) {
+                showProblem(problem);
+                return;
+            }
+
+            let errorMessage = 'Could not update your password. Please try again.';
+
+            if (error.code === 'PASSWORD_TOO_WEAK' || error.code === 'VALIDATION_ERROR') {
+                errorMessage = error.message || 'Please choose a stronger password';
+            } else if (error.status === 400 && error.data?.message) {
+                errorMessage = error.data.message;
+            } else if (error.status === 429) {
+                errorMessage = 'Too many attempts. Please wait a few minutes and try again.';
+            } else if (!navigator.onLine) {
+                errorMessage = "You're offline. Connect to the internet and try again.";
+            }
+
+            Notification.show(errorMessage, 'error');
+
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = originalText;
+        }
+    });
+}
+
 // ==================== PROTECTED ROUTES CHECK ====================
 function checkProtectedRoute() {
     const currentPath = window.location.pathname;
-    const protectedRoutes = [CONFIG.ROUTES.DASHBOARD];
+    // Pages with a route permission need a session too
+    const protectedRoutes = [CONFIG.ROUTES.DASHBOARD, ...Object.keys(Permissions.ROUTES)];
     
     // Check if current path is protected
     const isProtected = protectedRoutes.some(route => 
@@ -656,6 +1537,16 @@ function checkProtectedRoute() {
         redirectToLogin();
         return false;
     }
+
+    // Signed in, but the role may not open this page
+    const required = Permissions.forRoute(currentPath);
+    if (required && AuthState.isAuthenticated && !Permissions.can(required)) {
+        Notification.show(`${Permissions.roleLabel()} accounts can't open this page`, 'error');
+        setTimeout(() => {
+            window.location.href = CONFIG.ROUTES.HOME;
+        }, 1500);
+        return false;
+    }
     
     return true;
 }
@@ -666,21 +1557,59 @@ window.MedAI = {
     getToken: () => AuthState.token,
     getUser: () => AuthState.currentUser,
     isAuthenticated: () => AuthState.isAuthenticated,
-    logout: () => {
-        AuthState.clear();
+    can: (permission) => Permissions.can(permission),
+    roleLabel: (user) => Permissions.roleLabel(user),
+    getSessionExpiry: () => AuthState.expiresAt,
+    webauthn: WebAuthn,
+    // Resolves true when the session was extended
+    refreshSession: () => AuthState.refreshToken(),
+    // Resolves once the stored session has been decrypted
+    whenReady: () => AuthState.ready,
+    // 'locked-out' ends the session but keeps patient data sealed, see AuthState.clear
+    logout: async (reason = 'signed-out') => {
+        await AuthState.clear(reason);
         redirectToLogin();
     },
+    roles: Permissions.ROLES,
+    // Resolves with the saved user; falls back to the changes if the server doesn't echo it
+    updateProfile: async (changes) => {
+        const result = await API.auth.updateProfile(changes);
+        await AuthState.updateUser(result.user || { ...AuthState.currentUser, ...changes });
+        return AuthState.currentUser;
+    },
+    // New passwords follow CONFIG.PASSWORD_POLICY for the signed-in user
+    validatePassword: (password) => Validators.password(password, AuthState.currentUser || {}),
+    passwordStrength: (password) => Validators.strength(password, AuthState.currentUser || {}),
+    changePassword: async (currentPassword, newPassword) => {
+        const validation = Validators.password(newPassword, AuthState.currentUser || {});
+        if (!validation.valid) {
+            throw { status: 400, message: validation.message, code: 'PASSWORD_TOO_WEAK' };
+        }
+
+        const result = await API.auth.changePassword(currentPassword, newPassword);
+        // Servers that revoke sessions on a password change send a new token
+        if (result?.token) {
+            AuthState.token = result.token;
+            await AuthState.save(AuthState.remember);
+        }
+        return result;
+    },
     onAuthChange: (callback) => {
         window.addEventListener(CONFIG.AUTH_EVENT, (e) => callback(e.detail));
     },
+    // Fires with { expiresAt } while a refresh is overdue
+    onSessionExpiring: (callback) => {
+        window.addEventListener(CONFIG.SESSION_EVENT, (e) => callback(e.detail));
+    },
     api: API
 };
 
 // ==================== INITIALIZATION ====================
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Initialize core modules
     AuthState.init();
     Notification.init();
+    await AuthState.ready;
     
     // Check protected routes
     checkProtectedRoute();
@@ -694,6 +1623,8 @@ document.addEventListener('DOMContentLoaded', () => {
         initRegisterPage();
     } else if (path.includes('forgot-password.html')) {
         initForgotPasswordPage();
+    } else if (path.includes('reset-password.html')) {
+        initResetPasswordPage();
     }
     
     // Setup global error handler for unhandled promises
@@ -705,5 +1636,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for module usage if needed
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AuthState, API, Notification };
+    module.exports = { AuthState, API, Notification, Permissions, WebAuthn };
 }
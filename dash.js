@@ -21,13 +21,36 @@ const DashApp = {
     // Configuration constants
     CONFIG: {
         STORAGE_KEY: 'medai_history',
+        PATIENT_SESSION_KEY: 'medai_active_patient',
+        HISTORY_PAGE_SIZE: 50,
         DEBOUNCE_DELAY: 300,
         PROGRESS_INTERVAL: 200,
+        JOB_POLL_INTERVAL: 1000,
+        JOB_POLL_TIMEOUT: 120000,
+        BATCH_CONCURRENCY: 3,
+        BATCH_MAX_RETRIES: 2,
+        BATCH_RETRY_DELAY: 2000,
         MIN_CONFIDENCE: 80,
         MAX_CONFIDENCE: 100,
         SCAN_TYPES: ['xray', 'ct', 'mri', 'ultrasound'],
+        STUDY_ID_PREFIXES: { xray: 'RAD', ct: 'CT', mri: 'MRI', ultrasound: 'US' },
         ZOOM_STEPS: [1, 1.5, 2, 2.5, 3],
-        ANIMATION_DURATION: 300
+        ANIMATION_DURATION: 300,
+        API_BASE: window.ENV_API_BASE || 'https://medai-backend-j9i6.onrender.com',
+        ANALYZE_ENDPOINT: window.ENV_ANALYZE_ENDPOINT || '/diagnostics/process',
+        JPEG_QUALITY: 0.92,
+        LOGO_MAX_SIZE: { width: 360, height: 150 },
+        REVIEW_STATUSES: { pending: 'Pending review', reviewed: 'Reviewed', amended: 'Amended' },
+        AUDIT_ENDPOINT: window.ENV_AUDIT_ENDPOINT || '/audit/events',
+        AUDIT_PAGE_SIZE: 100,
+        AUDIT_UPLOAD_DELAY: 5000,
+        LOCK_TIMEOUTS: [0, 1, 2, 5, 10, 15, 30], // Minutes idle before locking; 0 locks on demand only
+        LOCK_MAX_ATTEMPTS: 5,
+        LOCK_CHECK_INTERVAL: 15000,
+        AVATAR_SIZE: 128, // Profile photos are cropped square and scaled to this
+        // Demo mode keeps the old mock analysis for offline demos: set
+        // window.ENV_DEMO_MODE = true or open the dashboard with ?demo
+        DEMO_MODE: window.ENV_DEMO_MODE === true || new URLSearchParams(window.location.search).has('demo')
     },
 
     // Mock data templates
@@ -46,22 +69,35 @@ const DashApp = {
         },
         defaultFindings: ["Feature extraction complete", "Pattern match successful", "No critical anomalies detected"],
         defaultDescription: "AI-powered diagnostic interpretation using pattern analysis.",
-        studyIds: ["MED", "RAD", "CT", "MRI", "US"],
-        aiModels: ["NeuroNet v6.0", "DeepMed v4.2", "RadAI v3.5", "MedVision v2.8"]
+        aiModels: [
+            { name: "NeuroNet", version: "6.0" },
+            { name: "DeepMed", version: "4.2" },
+            { name: "RadAI", version: "3.5" },
+            { name: "MedVision", version: "2.8" }
+        ]
     },
 
     state: {
         activeTab: 'scanner',
         scanType: 'xray',
         isAnalyzing: false,
+        analysisController: null,
         cameraFacing: 'environment',
         torchEnabled: false,
         zoomLevel: 1,
         stream: null,
         history: [],
+        historyTotal: 0,
+        historyStats: null,
         filterVisible: false,
         activeFilters: [],
         searchTerm: '',
+        historyView: 'list',
+        timeline: {
+            patientId: null,
+            entries: [],
+            selected: []
+        },
         loading: false,
         analytics: {
             totalScans: 0,
@@ -71,35 +107,74 @@ const DashApp = {
         },
         notifications: [],
         currentResult: null,
+        comparison: null,
+        compareSelection: [], // History list picks for comparison
+        patient: null, // Active patient new scans are filed under
+        pendingPatientAction: null, // Scan to resume once a patient is chosen
+        templateDraft: null, // Report template open in the editor
+        templateField: null, // Last focused template textarea, for placeholder inserts
+        audit: {
+            events: [],
+            patients: new Map(), // Patient IDs behind the events' references
+            hasMore: false
+        },
+        lock: {
+            settings: null,
+            locked: false,
+            lastActivity: Date.now(),
+            resumeCamera: false, // Camera was running when the dashboard locked
+            onUnlock: null // Startup waiting for patient data to be unlocked
+        },
+        mfa: {
+            factors: [],
+            recoveryCodesRemaining: null,
+            setup: null, // Authenticator app enrollment awaiting its first code
+            recoveryCodes: [] // Only held while they are on screen
+        },
+        sessions: [], // Devices signed in to this account
+        avatarDraft: undefined, // Unsaved profile photo: data URL, null to remove, undefined if untouched
+        dicom: null,
+        batch: {
+            items: [],
+            running: 0
+        },
         user: null // Will be populated from auth
     },
 
     // DOM element cache
     dom: {},
 
-    init() {
+    async init() {
         console.log("🚀 Med-AI Dashboard Initializing with REAL user data...");
         
-        // Get user from auth module FIRST
-        this.getUserFromAuth();
+        // Get user from auth module FIRST, once it has decrypted the session
+        await window.MedAI?.whenReady?.();
+        await this.getUserFromAuth();
         
         this.showLoadingOverlay(true);
         
-        setTimeout(() => {
-            this.loadState();
+        setTimeout(async () => {
             this.cacheDOM();
             this.bindEvents();
-            this.seedDemoData();
+            // History is encrypted under the app lock PIN; unlock it first
+            await this.setupAppLock();
+            await this.loadState();
+            // Mock history only in demo mode, never in a real account
+            if (this.CONFIG.DEMO_MODE) this.seedDemoData();
             this.updateUserSession(); // Now uses real user data
+            this.setScanType(this.getUserPreferences().defaultModality);
+            this.applyPermissions();
             this.refreshUI();
             this.setupCharts();
             this.showLoadingOverlay(false);
             this.showToast("Dashboard ready", "success");
+            this.flushScanQueue();
+            this.uploadAuditLog();
         }, 1500);
     },
 
     // ========== AUTH INTEGRATION ==========
-    getUserFromAuth() {
+    async getUserFromAuth() {
         try {
             // Check if MedAI global object exists (from auth.js)
             if (window.MedAI && window.MedAI.getUser) {
@@ -109,11 +184,11 @@ const DashApp = {
                     console.log("✅ User loaded from auth:", user.name);
                 } else {
                     console.warn("⚠️ No user found in auth, checking localStorage...");
-                    this.getUserFromStorage();
+                    await this.getUserFromStorage();
                 }
             } else {
                 console.warn("⚠️ MedAI global not found, checking localStorage...");
-                this.getUserFromStorage();
+                await this.getUserFromStorage();
             }
             
             // If still no user, redirect to login
@@ -126,24 +201,24 @@ const DashApp = {
             }
         } catch (error) {
             console.error("Failed to get user from auth:", error);
-            this.getUserFromStorage();
+            await this.getUserFromStorage();
         }
     },
 
-    getUserFromStorage() {
+    async getUserFromStorage() {
         try {
             // Try to get user from localStorage (remembered sessions)
-            const userJson = localStorage.getItem('medai_user');
-            if (userJson) {
-                this.state.user = JSON.parse(userJson);
+            const storedUser = await SecureStore.getItem(localStorage, 'medai_user', SecureStore.SESSION);
+            if (storedUser) {
+                this.state.user = storedUser;
                 console.log("✅ User loaded from localStorage:", this.state.user.name);
                 return;
             }
             
             // Try sessionStorage
-            const sessionUserJson = sessionStorage.getItem('medai_user');
-            if (sessionUserJson) {
-                this.state.user = JSON.parse(sessionUserJson);
+            const sessionUser = await SecureStore.getItem(sessionStorage, 'medai_user', SecureStore.SESSION);
+            if (sessionUser) {
+                this.state.user = sessionUser;
                 console.log("✅ User loaded from sessionStorage:", this.state.user.name);
                 return;
             }
@@ -191,6 +266,28 @@ const DashApp = {
             resultsPanel: getElement('results-panel'),
             historyList: getElement('history-list'),
             filterBar: getElement('filter-bar'),
+            historyViewBtns: queryAll('.view-toggle-btn'),
+            timeline: {
+                container: getElement('patient-timeline'),
+                patients: getElement('timeline-patients'),
+                main: getElement('timeline-main')
+            },
+            compare: {
+                panel: getElement('compare-panel'),
+                closeBtn: getElement('close-compare'),
+                canvases: [getElement('compare-canvas-0'), getElement('compare-canvas-1')],
+                summaries: [getElement('compare-summary-0'), getElement('compare-summary-1')],
+                warning: getElement('compare-warning'),
+                diff: getElement('compare-diff'),
+                tools: queryAll('#compare-panel .viewer-tool'),
+                invertBtn: query('#compare-panel [data-action="invert"]'),
+                resetBtn: query('#compare-panel [data-action="reset"]'),
+                link: getElement('compare-link'),
+                bar: getElement('compare-bar'),
+                barText: getElement('compare-bar-text'),
+                barOpen: getElement('compare-bar-open'),
+                barClear: getElement('compare-bar-clear')
+            },
             notification: getElement('notification'),
             loadingOverlay: getElement('loading-overlay'),
             
@@ -202,7 +299,7 @@ const DashApp = {
             },
             
             // Navigation
-            navItems: queryAll('.nav-item'),
+            navItems: queryAll('.nav-item[data-tab]'),
             typeBtns: queryAll('.type-btn'),
             filterChips: queryAll('.filter-chip'),
             
@@ -222,7 +319,11 @@ const DashApp = {
                 title: getElement('result-title'),
                 description: getElement('result-description'),
                 findingsList: getElement('findings-list'),
+                patient: getElement('result-patient'),
                 studyId: getElement('study-id'),
+                studyDate: getElement('study-date'),
+                accessionNumber: getElement('accession-number'),
+                analyzedAt: getElement('analyzed-at'),
                 modalityType: getElement('modality-type'),
                 aiModel: getElement('ai-model'),
                 medicalMetadata: getElement('medical-metadata'),
@@ -233,9 +334,216 @@ const DashApp = {
             actionButtons: {
                 printLabels: getElement('print-labels'),
                 downloadPdf: getElement('download-pdf'),
-                shareReport: getElement('share-report')
+                downloadText: getElement('download-txt'),
+                shareReport: getElement('share-report'),
+                deleteScan: getElement('delete-scan')
             },
             
+            // DICOM preview
+            dicom: {
+                panel: getElement('dicom-preview'),
+                canvas: getElement('dicom-canvas'),
+                meta: getElement('dicom-meta'),
+                windowControls: getElement('dicom-window-controls'),
+                preset: getElement('dicom-window-preset'),
+                center: getElement('dicom-window-center'),
+                width: getElement('dicom-window-width'),
+                centerValue: getElement('dicom-window-center-value'),
+                widthValue: getElement('dicom-window-width-value'),
+                analyzeBtn: getElement('dicom-analyze'),
+                cancelBtn: getElement('dicom-cancel')
+            },
+
+            // Batch upload
+            batch: {
+                panel: getElement('batch-queue'),
+                list: getElement('batch-list'),
+                summary: getElement('batch-summary'),
+                retryFailed: getElement('batch-retry-failed'),
+                clearFinished: getElement('batch-clear'),
+                dropOverlay: getElement('drop-overlay')
+            },
+
+            // Result image viewer
+            viewer: {
+                container: getElement('result-viewer'),
+                canvas: getElement('viewer-canvas'),
+                loading: getElement('viewer-loading'),
+                tools: queryAll('#result-viewer .viewer-tool'),
+                actions: queryAll('#result-viewer .viewer-action'),
+                invertBtn: query('#result-viewer [data-action="invert"]'),
+                overlayBtn: query('#result-viewer [data-action="overlays"]'),
+                level: getElement('viewer-level'),
+                width: getElement('viewer-width'),
+                levelValue: getElement('viewer-level-value'),
+                widthValue: getElement('viewer-width-value'),
+                hint: getElement('viewer-hint')
+            },
+
+            // Patient context
+            patient: {
+                context: getElement('patient-context'),
+                name: getElement('patient-context-name'),
+                details: getElement('patient-context-details'),
+                selectBtn: getElement('patient-select-btn'),
+                clearBtn: getElement('patient-clear-btn'),
+                dialog: getElement('patient-dialog'),
+                closeBtn: getElement('patient-dialog-close'),
+                cancelBtn: getElement('patient-cancel'),
+                form: getElement('patient-form'),
+                id: getElement('patient-id'),
+                fullName: getElement('patient-name'),
+                age: getElement('patient-age'),
+                sex: getElement('patient-sex'),
+                mrn: getElement('patient-mrn'),
+                error: getElement('patient-form-error'),
+                recent: getElement('patient-recent'),
+                recentList: getElement('patient-recent-list')
+            },
+
+            // Clinician review
+            review: {
+                panel: getElement('clinical-review'),
+                status: getElement('review-status'),
+                meta: getElement('review-meta'),
+                summary: getElement('review-summary'),
+                form: getElement('review-form'),
+                findings: getElement('review-findings'),
+                impression: getElement('review-impression'),
+                error: getElement('review-error'),
+                cancelBtn: getElement('review-cancel'),
+                actions: getElement('review-actions'),
+                editBtn: getElement('review-edit'),
+                acceptBtn: getElement('review-accept')
+            },
+
+            // Audit log
+            audit: {
+                openBtn: getElement('audit-log-btn'),
+                dialog: getElement('audit-dialog'),
+                closeBtn: getElement('audit-dialog-close'),
+                action: getElement('audit-action'),
+                search: getElement('audit-search'),
+                exportCsv: getElement('audit-export-csv'),
+                exportJson: getElement('audit-export-json'),
+                sync: getElement('audit-sync'),
+                rows: getElement('audit-rows'),
+                loadMore: getElement('audit-load-more')
+            },
+
+            // Session expiry warning
+            session: {
+                banner: getElement('session-warning'),
+                text: getElement('session-warning-text'),
+                extendBtn: getElement('session-extend')
+            },
+
+            // App lock
+            lock: {
+                lockBtn: getElement('lock-app-btn'),
+                settingsBtn: getElement('lock-settings-btn'),
+                dialog: getElement('lock-dialog'),
+                closeBtn: getElement('lock-dialog-close'),
+                cancelBtn: getElement('lock-cancel'),
+                form: getElement('lock-form'),
+                intro: getElement('lock-intro'),
+                pinLabel: getElement('lock-pin-label'),
+                pin: getElement('lock-pin'),
+                pinConfirm: getElement('lock-pin-confirm'),
+                timeout: getElement('lock-timeout'),
+                device: getElement('lock-device'),
+                deviceLabel: getElement('lock-device-label'),
+                error: getElement('lock-form-error'),
+                screen: getElement('app-lock'),
+                screenForm: getElement('app-lock-form'),
+                screenUser: getElement('app-lock-user'),
+                screenPin: getElement('app-lock-pin'),
+                screenError: getElement('app-lock-error'),
+                deviceBtn: getElement('app-lock-device'),
+                signOutBtn: getElement('app-lock-signout')
+            },
+
+            // Profile & two-step verification
+            profile: {
+                dialog: getElement('profile-dialog'),
+                closeBtn: getElement('profile-dialog-close'),
+                form: getElement('profile-form'),
+                avatar: getElement('profile-avatar'),
+                avatarInput: getElement('profile-avatar-input'),
+                avatarRemove: getElement('profile-avatar-remove'),
+                email: getElement('profile-email'),
+                name: getElement('profile-name'),
+                role: getElement('profile-role'),
+                facility: getElement('profile-facility'),
+                license: getElement('profile-license'),
+                modality: getElement('profile-modality'),
+                language: getElement('profile-language'),
+                notifyEmail: getElement('profile-notify-email'),
+                notifyReview: getElement('profile-notify-review'),
+                notifyDesktop: getElement('profile-notify-desktop'),
+                error: getElement('profile-error'),
+                saveBtn: getElement('profile-save'),
+                passwordForm: getElement('password-form'),
+                passwordCurrent: getElement('password-current'),
+                passwordNew: getElement('password-new'),
+                passwordConfirm: getElement('password-confirm'),
+                passwordStrength: getElement('password-strength'),
+                passwordError: getElement('password-error'),
+                passwordSaveBtn: getElement('password-save')
+            },
+            mfa: {
+                status: getElement('mfa-status'),
+                factors: getElement('mfa-factors'),
+                actions: getElement('mfa-actions'),
+                addTotp: getElement('mfa-add-totp'),
+                addKey: getElement('mfa-add-key'),
+                regenerate: getElement('mfa-regenerate'),
+                totpSetup: getElement('mfa-totp-setup'),
+                totpSecret: getElement('mfa-totp-secret'),
+                totpLink: getElement('mfa-totp-link'),
+                totpCode: getElement('mfa-totp-code'),
+                totpCancel: getElement('mfa-totp-cancel'),
+                recovery: getElement('mfa-recovery'),
+                recoveryCodes: getElement('mfa-recovery-codes'),
+                recoveryDownload: getElement('mfa-recovery-download'),
+                recoveryDone: getElement('mfa-recovery-done'),
+                error: getElement('mfa-error')
+            },
+            sessions: {
+                status: getElement('sessions-status'),
+                list: getElement('sessions-list'),
+                revokeOthers: getElement('sessions-revoke-others'),
+                revokeAll: getElement('sessions-revoke-all')
+            },
+
+            // Report templates
+            templates: {
+                openBtn: getElement('report-templates-btn'),
+                dialog: getElement('template-dialog'),
+                closeBtn: getElement('template-dialog-close'),
+                cancelBtn: getElement('template-cancel'),
+                select: getElement('template-select'),
+                newBtn: getElement('template-new'),
+                deleteBtn: getElement('template-delete'),
+                form: getElement('template-form'),
+                name: getElement('template-name'),
+                facility: getElement('template-facility'),
+                address: getElement('template-address'),
+                contact: getElement('template-contact'),
+                title: getElement('template-title'),
+                color: getElement('template-color'),
+                logoPreview: getElement('template-logo-preview'),
+                logoInput: getElement('template-logo-input'),
+                logoRemove: getElement('template-logo-remove'),
+                sections: getElement('template-sections'),
+                disclaimer: getElement('template-disclaimer'),
+                label: getElement('template-label'),
+                share: getElement('template-share'),
+                text: getElement('template-text'),
+                placeholders: getElement('template-placeholders'),
+                error: getElement('template-form-error')
+            },
+
             // Status
             aiStatusContainer: getElement('ai-status-container'),
             
@@ -258,7 +566,14 @@ const DashApp = {
 
         // Camera controls
         if (this.dom.captureBtn) {
-            this.dom.captureBtn.addEventListener('click', () => this.performAnalysis());
+            this.dom.captureBtn.addEventListener('click', () => {
+                // While a scan is in flight the capture button doubles as cancel
+                if (this.state.isAnalyzing) {
+                    this.cancelAnalysis();
+                } else {
+                    this.performAnalysis();
+                }
+            });
         }
         
         if (this.dom.switchCamera) {
@@ -273,11 +588,140 @@ const DashApp = {
             this.dom.uploadLocal.addEventListener('click', () => this.uploadLocalFile());
         }
 
+        // Patient context
+        const { patient } = this.dom;
+        patient.selectBtn?.addEventListener('click', () => this.openPatientDialog());
+        patient.clearBtn?.addEventListener('click', () => this.setActivePatient(null));
+        patient.closeBtn?.addEventListener('click', () => this.closePatientDialog());
+        patient.cancelBtn?.addEventListener('click', () => this.closePatientDialog());
+        patient.form?.addEventListener('submit', (e) => this.submitPatientForm(e));
+        patient.recentList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-patient-id]');
+            if (btn) this.selectRecentPatient(btn.dataset.patientId);
+        });
+
+        // DICOM preview
+        const { dicom } = this.dom;
+        dicom.analyzeBtn?.addEventListener('click', () => this.analyzeDicom());
+        dicom.cancelBtn?.addEventListener('click', () => this.closeDicomPreview());
+        dicom.preset?.addEventListener('change', () => this.applyDicomPreset(dicom.preset.value));
+        [dicom.center, dicom.width].forEach(input => {
+            input?.addEventListener('input', () => {
+                this.state.dicom.window = {
+                    center: Number(dicom.center.value),
+                    width: Number(dicom.width.value)
+                };
+                dicom.preset.value = '';
+                this.renderDicomPreview();
+            });
+        });
+
+        // Batch upload
+        this.dom.batch.retryFailed?.addEventListener('click', () => this.retryFailedBatchItems());
+        this.dom.batch.clearFinished?.addEventListener('click', () => this.clearFinishedBatchItems());
+        this.setupDropZone();
+
+        // Audit log
+        const { audit } = this.dom;
+        audit.openBtn?.addEventListener('click', () => this.openAuditDialog());
+        audit.closeBtn?.addEventListener('click', () => this.closeAuditDialog());
+        audit.action?.addEventListener('change', () => this.loadAuditEvents());
+        audit.search?.addEventListener('input', this.debounce(() => this.loadAuditEvents(), this.CONFIG.DEBOUNCE_DELAY));
+        audit.loadMore?.addEventListener('click', () => this.loadAuditEvents(true));
+        audit.exportCsv?.addEventListener('click', () => this.exportAuditLog('csv'));
+        audit.exportJson?.addEventListener('click', () => this.exportAuditLog('json'));
+
+        // App lock
+        const { lock } = this.dom;
+        lock.lockBtn?.addEventListener('click', () => this.lockApp());
+        lock.settingsBtn?.addEventListener('click', () => this.openLockSettings());
+        lock.closeBtn?.addEventListener('click', () => this.closeLockSettings());
+        lock.cancelBtn?.addEventListener('click', () => this.closeLockSettings());
+        lock.form?.addEventListener('submit', (e) => this.submitLockSettings(e));
+        lock.screenForm?.addEventListener('submit', (e) => this.unlockWithPin(e));
+        lock.deviceBtn?.addEventListener('click', () => this.unlockWithDevice());
+        lock.signOutBtn?.addEventListener('click', () => this.logout());
+
+        // Profile & two-step verification
+        const { profile, mfa } = this.dom;
+        profile.closeBtn?.addEventListener('click', () => this.closeUserProfile());
+        profile.form?.addEventListener('submit', (e) => this.saveProfile(e));
+        profile.avatarInput?.addEventListener('change', () => this.loadProfileAvatar(profile.avatarInput.files[0]));
+        profile.avatarRemove?.addEventListener('click', () => this.setProfileAvatar(null));
+        profile.passwordForm?.addEventListener('submit', (e) => this.changePassword(e));
+        profile.passwordNew?.addEventListener('input', () => this.updatePasswordStrength());
+        mfa.addTotp?.addEventListener('click', () => this.startTotpSetup());
+        mfa.addKey?.addEventListener('click', () => this.addSecurityKey());
+        mfa.regenerate?.addEventListener('click', () => this.regenerateRecoveryCodes());
+        mfa.totpSetup?.addEventListener('submit', (e) => this.confirmTotpSetup(e));
+        mfa.totpCancel?.addEventListener('click', () => this.resetMfaPanels());
+        mfa.recoveryDownload?.addEventListener('click', () => this.downloadRecoveryCodes());
+        mfa.recoveryDone?.addEventListener('click', () => this.resetMfaPanels());
+        mfa.factors?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-factor-id]');
+            if (btn) this.removeMfaFactor(btn.dataset.factorId);
+        });
+
+        // Active sessions
+        const { sessions } = this.dom;
+        sessions.revokeOthers?.addEventListener('click', () => this.revokeOtherSessions());
+        sessions.revokeAll?.addEventListener('click', () => this.signOutEverywhere());
+        sessions.list?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-session-id]');
+            if (btn) this.revokeSession(btn.dataset.sessionId);
+        });
+
+        // Report templates
+        const { templates } = this.dom;
+        templates.openBtn?.addEventListener('click', () => this.openTemplateDialog());
+        templates.closeBtn?.addEventListener('click', () => this.closeTemplateDialog());
+        templates.cancelBtn?.addEventListener('click', () => this.closeTemplateDialog());
+        templates.select?.addEventListener('change', () => this.editTemplate(templates.select.value));
+        templates.newBtn?.addEventListener('click', () => this.newTemplate());
+        templates.deleteBtn?.addEventListener('click', () => this.deleteTemplate());
+        templates.form?.addEventListener('submit', (e) => this.submitTemplateForm(e));
+        templates.logoInput?.addEventListener('change', () => this.loadTemplateLogo(templates.logoInput.files[0]));
+        templates.logoRemove?.addEventListener('click', () => this.setTemplateLogo(null));
+        templates.placeholders?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-placeholder]');
+            if (btn) this.insertPlaceholder(btn.dataset.placeholder);
+        });
+        templates.form?.addEventListener('focusin', (e) => {
+            if (e.target.matches('textarea')) this.state.templateField = e.target;
+        });
+
+        // History views
+        this.dom.historyViewBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setHistoryView(btn.dataset.view));
+        });
+        this.dom.timeline.patients?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-patient-id]');
+            if (btn) this.selectTimelinePatient(btn.dataset.patientId);
+        });
+        this.dom.timeline.main?.addEventListener('click', (e) => this.handleTimelineClick(e));
+        this.dom.timeline.main?.addEventListener('change', (e) => {
+            if (e.target.matches('.timeline-select')) {
+                this.toggleTimelineSelection(Number(e.target.value), e.target.checked);
+            }
+        });
+
+        // Study comparison
+        this.setupComparison();
+
         // Results panel
         if (this.dom.closeResults) {
             this.dom.closeResults.addEventListener('click', () => this.toggleResults(false));
         }
 
+        this.setupResultViewer();
+
+        // Clinician review
+        const { review } = this.dom;
+        review.editBtn?.addEventListener('click', () => this.openReviewForm());
+        review.acceptBtn?.addEventListener('click', () => this.acceptReview());
+        review.cancelBtn?.addEventListener('click', () => this.renderReview(this.state.currentResult));
+        review.form?.addEventListener('submit', (e) => this.submitReviewForm(e));
+
         // Action buttons
         if (this.dom.actionButtons.printLabels) {
             this.dom.actionButtons.printLabels.addEventListener('click', () => this.printLabels());
@@ -286,11 +730,19 @@ const DashApp = {
         if (this.dom.actionButtons.downloadPdf) {
             this.dom.actionButtons.downloadPdf.addEventListener('click', () => this.downloadReport());
         }
+
+        if (this.dom.actionButtons.downloadText) {
+            this.dom.actionButtons.downloadText.addEventListener('click', () => this.downloadTextReport());
+        }
         
         if (this.dom.actionButtons.shareReport) {
             this.dom.actionButtons.shareReport.addEventListener('click', () => this.shareReport());
         }
 
+        if (this.dom.actionButtons.deleteScan) {
+            this.dom.actionButtons.deleteScan.addEventListener('click', () => this.deleteScan());
+        }
+
         // Filter controls
         if (this.dom.filterBtn) {
             this.dom.filterBtn.addEventListener('click', () => this.toggleFilterBar());
@@ -323,6 +775,21 @@ const DashApp = {
         // Window events
         window.addEventListener('beforeunload', () => this.cleanup());
         window.addEventListener('popstate', () => this.handlePopState());
+        window.addEventListener('online', () => {
+            this.flushScanQueue();
+            this.uploadAuditLog();
+        });
+
+        // Background Sync fires in the service worker, which has neither the
+        // session token nor the keys; it asks this tab to replay the queue
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', async (event) => {
+                if (event.data?.type === 'scan-queue-sync') {
+                    const remaining = await this.flushScanQueue();
+                    event.ports[0]?.postMessage({ remaining });
+                }
+            });
+        }
         
         // Auth change listener
         if (window.MedAI && window.MedAI.onAuthChange) {
@@ -330,12 +797,19 @@ const DashApp = {
                 if (authState.authenticated && authState.user) {
                     this.state.user = authState.user;
                     this.updateUserSession();
-                } else {
-                    // User logged out
+                    this.applyPermissions();
+                    this.hideSessionWarning();
+                } else if (authState.reason === 'expired' || authState.reason === 'revoked') {
+                    this.handleSessionExpired(authState.reason);
+                } else if (!this.signingOut) {
+                    // Logged out in another tab. This tab's own logout
+                    // redirects once the wipe has finished
                     window.location.href = 'login.html';
                 }
             });
+            window.MedAI.onSessionExpiring?.((session) => this.showSessionWarning(session));
         }
+        this.dom.session.extendBtn?.addEventListener('click', () => this.extendSession());
         
         // Zoom handling (pinch gesture)
         this.setupZoomHandling();
@@ -364,21 +838,17 @@ const DashApp = {
             
             this.dom.displayName.textContent = displayName;
             
-            // Update avatar with user initials
-            if (this.dom.avatarCircle) {
-                const initials = this.getInitials(user.name);
-                this.dom.avatarCircle.textContent = initials;
-            }
+            // Update avatar with the profile photo or user initials
+            this.renderAvatar(this.dom.avatarCircle, user);
             
-            // Update user role if element exists
+            // Update user role (and facility) if element exists
             const userRoleEl = document.querySelector('.user-role');
             if (userRoleEl && user.role) {
-                const formattedRole = user.role
-                    .split('_')
-                    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                    .join(' ');
-                userRoleEl.textContent = formattedRole;
+                const role = window.MedAI?.roleLabel?.(user) || user.role;
+                userRoleEl.textContent = user.facility ? `${role} · ${user.facility}` : role;
             }
+
+            document.documentElement.lang = this.getUserPreferences(user).language;
             
             console.log(`👤 User session updated: ${displayName}`);
             
@@ -398,18 +868,60 @@ const DashApp = {
     },
 
     // ========== LOGOUT FUNCTION ==========
-    logout() {
+    // Scans captured offline that the server hasn't analyzed yet
+    async countQueuedScans() {
+        if (typeof ScanQueue === 'undefined') return 0;
+
+        try {
+            return ScanQueue.countWaiting(await ScanQueue.getAll());
+        } catch (error) {
+            console.error("Failed to read offline scan queue:", error);
+            return 0;
+        }
+    },
+
+    // Signing out wipes the offline queue with everything else
+    async confirmSignOut() {
+        const queued = await this.countQueuedScans();
+        if (!queued) return true;
+
+        return confirm(`${queued} scan${queued > 1 ? 's' : ''} captured offline ${queued > 1 ? "haven't" : "hasn't"} been analyzed yet. ` +
+            `Signing out deletes ${queued > 1 ? 'them' : 'it'} from this device. Sign out anyway?`);
+    },
+
+    /**
+     * Signs out and wipes patient data from this device. `forced` (too many
+     * wrong PINs) has nobody to ask: with offline scans still queued it ends
+     * the session but keeps the data sealed for the same user's next
+     * sign-in, like an expired session. `confirmed` skips the question.
+     */
+    async logout({ forced = false, confirmed = false } = {}) {
+        if (!forced && !confirmed && !await this.confirmSignOut()) return;
+
+        const keepData = forced && await this.countQueuedScans() > 0;
+        this.signingOut = true;
         this.showToast("Logging out...", "info");
+
+        if (keepData) {
+            // A fair count of attempts once the user has signed in again
+            await AppLock.update({ failures: 0 }).catch(error => console.error("Failed to reset PIN attempts:", error));
+        }
         
-        // Use auth module logout if available
+        // Use auth module logout if available; it redirects once the wipe is done
         if (window.MedAI && window.MedAI.logout) {
-            window.MedAI.logout();
+            await window.MedAI.logout(keepData ? 'locked-out' : 'signed-out');
         } else {
             // Fallback: clear storage and redirect
             localStorage.removeItem('medai_user');
             localStorage.removeItem('medai_token');
             sessionStorage.removeItem('medai_user');
             sessionStorage.removeItem('medai_token');
+            // Patient data has to be gone (or at least sealed) before the next user gets the device
+            if (keepData) {
+                SecureStore.lock();
+            } else {
+                await SecureStore.wipe().catch(error => console.error("Failed to wipe local data:", error));
+            }
             
             setTimeout(() => {
                 window.location.href = 'login.html';
@@ -502,432 +1014,3286 @@ const DashApp = {
         // Create file input dynamically
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = 'image/*';
-        fileInput.multiple = false;
+        fileInput.accept = 'image/*,.dcm,application/dicom';
+        fileInput.multiple = true;
         
-        fileInput.onchange = (e) => {
-            const file = e.target.files[0];
-            if (file) {
+        fileInput.onchange = async (e) => {
+            const files = [...e.target.files];
+            if (files.length > 1) {
+                await this.enqueueBatchFiles(files);
+                return;
+            }
+
+            const file = files[0];
+            if (!file) return;
+
+            if (await this.isDicomFile(file)) {
+                await this.previewDicom(file);
+            } else {
                 this.showToast(`Processing ${file.name}...`, "info");
-                
-                // Simulate analysis
-                setTimeout(() => {
-                    const result = this.generateMockResult();
-                    const entry = this.createHistoryEntry(result);
-                    this.state.history.unshift(entry);
-                    this.saveState();
-                    
-                    this.renderResults(entry);
-                    this.toggleResults(true);
-                    this.updateAnalytics();
-                    this.renderHistory();
-                    
-                    this.showToast("File analyzed successfully", "success");
-                }, 2000);
+                await this.runAnalysis(file);
             }
         };
         
         fileInput.click();
     },
 
-    setupZoomHandling() {
-        if (!this.dom.video) return;
-        
-        let initialDistance = 0;
-        let currentZoomIndex = 0;
-        
-        this.dom.video.addEventListener('touchstart', (e) => {
-            if (e.touches.length === 2) {
-                initialDistance = this.getPinchDistance(e.touches);
-            }
-        });
-        
-        this.dom.video.addEventListener('touchmove', (e) => {
-            if (e.touches.length === 2) {
-                e.preventDefault();
-                const distance = this.getPinchDistance(e.touches);
-                const delta = distance - initialDistance;
-                
-                if (Math.abs(delta) > 20) {
-                    const direction = delta > 0 ? 1 : -1;
-                    currentZoomIndex = Math.min(
-                        Math.max(currentZoomIndex + direction, 0),
-                        this.CONFIG.ZOOM_STEPS.length - 1
-                    );
-                    
-                    this.state.zoomLevel = this.CONFIG.ZOOM_STEPS[currentZoomIndex];
-                    this.updateZoomIndicator();
-                    
-                    // Apply zoom if supported
-                    this.applyZoom();
-                    
-                    initialDistance = distance;
-                }
-            }
-        });
+    // ========== PATIENT CONTEXT ==========
+    async loadActivePatient() {
+        try {
+            this.state.patient = await SecureStore.getItem(sessionStorage, this.CONFIG.PATIENT_SESSION_KEY);
+        } catch (error) {
+            console.error("Discarding unreadable patient context:", error);
+            this.state.patient = null;
+        }
     },
 
-    getPinchDistance(touches) {
-        const dx = touches[0].clientX - touches[1].clientX;
-        const dy = touches[0].clientY - touches[1].clientY;
-        return Math.sqrt(dx * dx + dy * dy);
+    setActivePatient(patient) {
+        this.state.patient = patient;
+
+        if (patient) {
+            SecureStore.setItem(sessionStorage, this.CONFIG.PATIENT_SESSION_KEY, patient)
+                .catch(error => console.error("Failed to save patient context:", error));
+            HistoryStore.putPatient(patient).catch(error => console.error("Failed to save patient:", error));
+        } else {
+            sessionStorage.removeItem(this.CONFIG.PATIENT_SESSION_KEY);
+        }
+
+        this.renderPatientContext();
     },
 
-    async applyZoom() {
-        if (!this.state.stream) return;
-        
+    renderPatientContext() {
+        const { context, name, details, clearBtn, selectBtn } = this.dom.patient;
+        if (!context) return;
+
+        const patient = this.state.patient;
+        context.classList.toggle('empty', !patient);
+        name.textContent = patient ? patient.name : 'No patient selected';
+        details.textContent = patient ?
+            this.formatPatientDetails(patient) :
+            'Select or enter a patient before capturing';
+        clearBtn?.classList.toggle('hidden', !patient);
+        if (selectBtn) selectBtn.textContent = patient ? 'Change Patient' : 'Select Patient';
+    },
+
+    formatPatientDetails(patient) {
+        return [
+            `ID ${patient.id}`,
+            patient.mrn && `MRN ${patient.mrn}`,
+            patient.age && (/^\d+$/.test(patient.age) ? `${patient.age}y` : patient.age),
+            patient.sex
+        ].filter(Boolean).join(' · ');
+    },
+
+    async openPatientDialog() {
+        const { dialog, form, id, fullName, age, sex, mrn, error } = this.dom.patient;
+        if (!dialog) return;
+
+        const patient = this.state.patient;
+        form.reset();
+        id.value = patient?.id || '';
+        fullName.value = patient?.name || '';
+        age.value = patient?.age || '';
+        sex.value = patient?.sex || '';
+        mrn.value = patient?.mrn || '';
+        error.classList.add('hidden');
+
+        dialog.classList.remove('hidden');
+        fullName.focus();
+
         try {
-            const track = this.state.stream.getVideoTracks()[0];
-            const capabilities = track.getCapabilities();
-            
-            if (capabilities.zoom) {
-                await track.applyConstraints({
-                    advanced: [{ zoom: this.state.zoomLevel }]
-                });
-            }
+            this.renderRecentPatients(await HistoryStore.recentPatients(8));
         } catch (err) {
-            console.log("Zoom not supported");
+            console.error("Failed to load recent patients:", err);
         }
     },
 
-    updateZoomIndicator() {
-        if (this.dom.zoomIndicator) {
-            this.dom.zoomIndicator.textContent = `${this.state.zoomLevel}x`;
-        }
+    closePatientDialog() {
+        this.state.pendingPatientAction = null;
+        this.dom.patient.dialog?.classList.add('hidden');
     },
 
-    // ========== AI STATUS ==========
-    setAIStatus(status, text) {
-        if (this.dom.aiStatusContainer) {
-            // Remove all status classes
-            this.dom.aiStatusContainer.classList.remove('online', 'offline', 'processing', 'error');
-            this.dom.aiStatusContainer.classList.add(status);
+    completePatientSelection(patient) {
+        const resume = this.state.pendingPatientAction;
+
+        this.setActivePatient(patient);
+        this.closePatientDialog();
+        this.showToast(`Patient set: ${patient.name}`, "success");
+
+        resume?.();
+    },
+
+    renderRecentPatients(patients) {
+        const { recent, recentList } = this.dom.patient;
+        if (!recent) return;
+
+        recent.classList.toggle('hidden', patients.length === 0);
+        recentList.innerHTML = patients.map(p => `
+            <li>
+                <button type="button" class="patient-recent-item" data-patient-id="${this.escapeHtml(p.id)}">
+                    <strong>${this.escapeHtml(p.name)}</strong>
+                    <span>${this.escapeHtml(this.formatPatientDetails(p))}</span>
+                </button>
+            </li>
+        `).join('');
+    },
+
+    async selectRecentPatient(id) {
+        const record = await HistoryStore.getPatient(id).catch(() => null);
+        if (!record) return;
+
+        const { lastSeen, ...patient } = record;
+        this.completePatientSelection(patient);
+    },
+
+    submitPatientForm(e) {
+        e.preventDefault();
+        const { id, fullName, age, sex, mrn, error } = this.dom.patient;
+
+        const name = fullName.value.trim();
+        const ageValue = age.value.trim();
+
+        let message = null;
+        if (!name) {
+            message = 'Patient name is required';
+        } else if (ageValue && !/^\d{1,3}$/.test(ageValue)) {
+            message = 'Age must be a whole number of years';
+        } else if (ageValue && Number(ageValue) > 130) {
+            message = 'Age looks incorrect';
         }
-        
-        if (this.dom.statusBadge) {
-            this.dom.statusBadge.textContent = text;
+
+        if (message) {
+            error.textContent = message;
+            error.classList.remove('hidden');
+            return;
         }
+
+        const patient = {
+            // Walk-in patients without a hospital number get a local ID
+            id: id.value.trim() || `PT-${this.randomCode(6)}`,
+            name,
+            age: ageValue,
+            sex: sex.value,
+            mrn: mrn.value.trim()
+        };
+
+        this.completePatientSelection(patient);
     },
 
-    // ========== FILTER FUNCTIONS ==========
-    toggleFilterBar() {
-        this.state.filterVisible = !this.state.filterVisible;
-        
-        if (this.dom.filterBar) {
-            this.dom.filterBar.classList.toggle('hidden', !this.state.filterVisible);
-            
-            if (this.state.filterVisible) {
-                this.dom.filterBar.style.animation = 'slideDown 0.3s ease';
+    /**
+     * Returns the patient a new scan belongs to: DICOM tags first, then the
+     * active patient. When neither is available it opens the patient dialog,
+     * returns null and runs `resume` once a patient has been chosen.
+     */
+    resolveScanPatient(meta = {}, resume = null) {
+        const active = this.state.patient;
+
+        if (meta.patient) {
+            if (active && active.id !== meta.patient.id) {
+                this.showToast(`Using patient from DICOM tags: ${meta.patient.name}`, "info");
             }
+            return meta.patient;
         }
+        if (active) return active;
+
+        this.showToast("Select a patient before scanning", "warning");
+        this.openPatientDialog();
+        this.state.pendingPatientAction = resume;
+        return null;
     },
 
-    handleFilterChipClick(event) {
-        const chip = event.currentTarget;
-        const filter = chip.dataset.filter;
-        
-        // Toggle active class
-        chip.classList.toggle('active');
-        
-        // Update active filters
-        if (chip.classList.contains('active')) {
-            this.state.activeFilters.push(filter);
-        } else {
-            this.state.activeFilters = this.state.activeFilters.filter(f => f !== filter);
-        }
-        
-        // Apply filters
-        this.renderHistory();
-        this.showToast(`Filter applied: ${filter}`, "info");
+    async patientFromDicomTags(tags) {
+        if (!tags.patientId && !tags.patientName) return null;
+
+        // DICOM ages are like "045Y"; keep months/weeks/days as written
+        const age = /^(\d{3})Y$/.test(tags.patientAge || '') ?
+            String(Number(tags.patientAge.slice(0, 3))) :
+            (tags.patientAge || '');
+
+        // Without a PatientID, derive one from name and birth date so every
+        // file of the same patient lands on the same ID
+        const id = tags.patientId || `PT-${await this.stableCode(
+            `${tags.patientName.trim().toUpperCase().replace(/\s+/g, ' ')}|${tags.patientBirthDate || ''}`, 6)}`;
+
+        return {
+            id,
+            name: tags.patientName || 'Unknown',
+            age,
+            sex: { M: 'Male', F: 'Female', O: 'Other' }[tags.patientSex] || '',
+            mrn: '',
+            birthDate: tags.patientBirthDate || ''
+        };
     },
 
-    applyFilters(items) {
-        if (this.state.activeFilters.length === 0) return items;
-        
-        return items.filter(item => {
-            // Date filters
-            if (this.state.activeFilters.includes('today')) {
-                const today = new Date().toDateString();
-                const itemDate = new Date(item.date).toDateString();
-                if (itemDate !== today) return false;
-            }
-            
-            if (this.state.activeFilters.includes('week')) {
-                const weekAgo = new Date();
-                weekAgo.setDate(weekAgo.getDate() - 7);
-                if (new Date(item.date) < weekAgo) return false;
+    // ========== BATCH UPLOAD ==========
+    setupDropZone() {
+        const zone = this.dom.sections.scanner;
+        const overlay = this.dom.batch.dropOverlay;
+        if (!zone) return;
+
+        let depth = 0;
+        const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+
+        zone.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth++;
+            overlay?.classList.remove('hidden');
+        });
+        zone.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        zone.addEventListener('dragleave', () => {
+            depth = Math.max(depth - 1, 0);
+            if (depth === 0) overlay?.classList.add('hidden');
+        });
+        zone.addEventListener('drop', async (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth = 0;
+            overlay?.classList.add('hidden');
+
+            const files = await this.collectDroppedFiles(e.dataTransfer);
+            await this.enqueueBatchFiles(files);
+        });
+    },
+
+    // Walks dropped folders; entries must be taken before the first await
+    async collectDroppedFiles(dataTransfer) {
+        const entries = [...dataTransfer.items]
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        if (entries.length === 0) return [...dataTransfer.files];
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                // readEntries returns directory contents in chunks
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await walk(child);
+                } while (batch.length > 0);
             }
-            
-            if (this.state.activeFilters.includes('month')) {
-                const monthAgo = new Date();
-                monthAgo.setMonth(monthAgo.getMonth() - 1);
-                if (new Date(item.date) < monthAgo) return false;
+        };
+
+        for (const entry of entries) {
+            try {
+                await walk(entry);
+            } catch (error) {
+                console.warn("Skipping unreadable dropped entry:", entry.name, error);
             }
+        }
+        return files;
+    },
+
+    async enqueueBatchFiles(files) {
+        const accepted = [];
+        for (const file of files) {
+            if (file.name.startsWith('.')) continue;
+            if (file.type.startsWith('image/') || await this.isDicomFile(file)) {
+                accepted.push(file);
+            }
+        }
+
+        const skipped = files.length - accepted.length;
+        if (accepted.length === 0) {
+            this.showToast("No images or DICOM files found", "warning");
+            return;
+        }
+
+        // Items are filed under the active patient unless their DICOM tags name one
+        if (!this.resolveScanPatient({}, () => this.enqueueBatchFiles(files))) return;
+
+        accepted.forEach(file => {
+            this.state.batch.items.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                file,
+                name: file.webkitRelativePath || file.name,
+                patient: this.state.patient,
+                status: 'queued',
+                statusText: 'Queued',
+                attempts: 0,
+                error: null,
+                entryId: null,
+                controller: null
+            });
+        });
+
+        this.showToast(`${accepted.length} file${accepted.length > 1 ? 's' : ''} added to queue` +
+            (skipped ? ` (${skipped} skipped)` : ''), "info");
+
+        this.renderBatchQueue();
+        this.pumpBatchQueue();
+    },
+
+    pumpBatchQueue() {
+        const { batch } = this.state;
+
+        while (batch.running < this.CONFIG.BATCH_CONCURRENCY) {
+            const next = batch.items.find(item => item.status === 'queued');
+            if (!next) break;
+
+            batch.running++;
+            this.processBatchItem(next).finally(() => {
+                batch.running--;
+                this.renderBatchQueue();
+                this.pumpBatchQueue();
+            });
+        }
+
+        this.renderBatchQueue();
+    },
+
+    async processBatchItem(item) {
+        item.status = 'processing';
+        item.statusText = 'Preparing...';
+        item.attempts++;
+        item.controller = new AbortController();
+        this.renderBatchQueue();
+
+        const onStatus = (text) => {
+            item.statusText = text;
+            this.updateBatchItemStatus(item);
+        };
+
+        try {
+            const { image, meta } = await this.prepareBatchImage(item.file);
+            meta.patient = meta.patient || item.patient;
+
+            if (!this.CONFIG.DEMO_MODE && !navigator.onLine) {
+                await this.queueOfflineScan(image, meta);
+                item.status = 'offline';
+                item.statusText = 'Saved offline';
+                return;
+            }
+
+            const result = this.CONFIG.DEMO_MODE ?
+                await this.runDemoAnalysis(item.controller.signal, onStatus) :
+                await this.analyzeImage(image, meta.type || this.state.scanType, item.controller.signal, onStatus);
+
+            const entry = this.createHistoryEntry(result, meta);
+            this.state.history.unshift(entry);
+            await this.saveEntry(entry, image);
+            this.updateAnalytics();
+            this.renderHistory();
+
+            item.status = 'done';
+            item.statusText = `${entry.title} · ${entry.confidence}%`;
+            item.entryId = entry.id;
+            item.file = null;
+
+        } catch (error) {
+            if (error?.name === 'AbortError') {
+                item.status = 'cancelled';
+                item.statusText = 'Cancelled';
+                return;
+            }
+
+            console.error(`Batch item ${item.name} failed:`, error);
+            item.error = this.getAnalysisErrorMessage(error);
+
+            const retryable = typeof ScanQueue !== 'undefined' ? ScanQueue.isRetryable(error) : !error?.status;
+            if (retryable && error?.status !== 401 && item.attempts <= this.CONFIG.BATCH_MAX_RETRIES) {
+                item.status = 'retrying';
+                item.statusText = `Retrying (${item.attempts}/${this.CONFIG.BATCH_MAX_RETRIES})...`;
+                this.renderBatchQueue();
+                await this.delay(this.CONFIG.BATCH_RETRY_DELAY * item.attempts, item.controller.signal).catch(() => {});
+                if (item.status === 'retrying') item.status = 'queued';
+            } else {
+                item.status = 'failed';
+                item.statusText = item.error;
+            }
+        } finally {
+            item.controller = null;
+        }
+    },
+
+    // Converts DICOM files to a windowed JPEG and collects their study tags
+    async prepareBatchImage(file) {
+        if (!(await this.isDicomFile(file))) {
+            return { image: file, meta: {} };
+        }
+
+        const dicom = await DicomParser.load(file);
+        const canvas = document.createElement('canvas');
+        DicomParser.render(dicom, canvas, dicom.window || {});
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', this.CONFIG.JPEG_QUALITY));
+        const image = new File([blob], `${file.name.replace(/\.dcm$/i, '')}.jpg`, { type: 'image/jpeg' });
+
+        const meta = await this.getDicomEntryMeta(dicom.tags);
+        const type = DicomParser.scanTypeFor(dicom.tags.modality);
+        if (type) meta.type = type;
+
+        return { image, meta };
+    },
+
+    cancelBatchItem(id) {
+        const item = this.state.batch.items.find(i => i.id === id);
+        if (!item) return;
+
+        if (item.status === 'retrying') {
+            item.status = 'cancelled';
+            item.statusText = 'Cancelled';
+        }
+
+        if (item.controller) {
+            item.controller.abort();
+        } else if (item.status === 'queued') {
+            item.status = 'cancelled';
+            item.statusText = 'Cancelled';
+        }
+        this.renderBatchQueue();
+    },
+
+    retryBatchItem(id) {
+        const item = this.state.batch.items.find(i => i.id === id);
+        if (!item || !item.file) return;
+
+        item.status = 'queued';
+        item.statusText = 'Queued';
+        item.attempts = 0;
+        item.error = null;
+        this.pumpBatchQueue();
+    },
+
+    retryFailedBatchItems() {
+        this.state.batch.items
+            .filter(item => item.status === 'failed' || item.status === 'cancelled')
+            .forEach(item => {
+                item.status = 'queued';
+                item.statusText = 'Queued';
+                item.attempts = 0;
+                item.error = null;
+            });
+        this.pumpBatchQueue();
+    },
+
+    clearFinishedBatchItems() {
+        this.state.batch.items = this.state.batch.items.filter(item =>
+            ['queued', 'processing', 'retrying'].includes(item.status));
+        this.renderBatchQueue();
+    },
+
+    renderBatchQueue() {
+        const { panel, list, summary } = this.dom.batch;
+        const { items } = this.state.batch;
+        if (!panel || !list) return;
+
+        panel.classList.toggle('hidden', items.length === 0);
+        if (items.length === 0) return;
+
+        const count = (status) => items.filter(i => i.status === status).length;
+        if (summary) {
+            summary.textContent = `${count('done')}/${items.length} done` +
+                (count('failed') ? ` · ${count('failed')} failed` : '');
+        }
+
+        const icons = {
+            queued: '⏳', processing: '🧠', retrying: '🔁',
+            done: '✅', failed: '❌', cancelled: '⛔', offline: '📴'
+        };
+
+        list.innerHTML = items.map(item => `
+            <li class="batch-item ${item.status}" data-id="${item.id}">
+                <span class="batch-item-icon" aria-hidden="true">${icons[item.status]}</span>
+                <div class="batch-item-info">
+                    <span class="batch-item-name">${this.escapeHtml(item.name)}</span>
+                    <span class="batch-item-status">${this.escapeHtml(item.statusText)}</span>
+                </div>
+                ${item.status === 'done' ? `<button class="batch-item-btn" data-action="view" aria-label="View result">View</button>` : ''}
+                ${item.status === 'failed' || item.status === 'cancelled' ? `<button class="batch-item-btn" data-action="retry" aria-label="Retry">Retry</button>` : ''}
+                ${['queued', 'processing', 'retrying'].includes(item.status) ? `<button class="batch-item-btn" data-action="cancel" aria-label="Cancel">✕</button>` : ''}
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.batch-item-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = btn.closest('.batch-item').dataset.id;
+                const action = btn.dataset.action;
+
+                if (action === 'cancel') this.cancelBatchItem(id);
+                if (action === 'retry') this.retryBatchItem(id);
+                if (action === 'view') {
+                    const item = this.state.batch.items.find(i => i.id === id);
+                    const entry = this.state.history.find(h => h.id === item?.entryId);
+                    if (entry) this.viewResult(entry);
+                }
+            });
+        });
+    },
+
+    // Progress ticks only touch the status text, not the whole list
+    updateBatchItemStatus(item) {
+        const el = this.dom.batch.list?.querySelector(`[data-id="${item.id}"] .batch-item-status`);
+        if (el) el.textContent = item.statusText;
+    },
+
+    // ========== DICOM IMPORT ==========
+    async isDicomFile(file) {
+        if (/\.dcm$/i.test(file.name) || file.type === 'application/dicom') return true;
+
+        // Many PACS exports have no extension; sniff the Part 10 preamble
+        if (file.type && file.type.startsWith('image/')) return false;
+        return DicomParser.isDicom(await file.slice(0, 132).arrayBuffer());
+    },
+
+    async previewDicom(file) {
+        this.showToast(`Reading ${file.name}...`, "info");
+
+        let image;
+        try {
+            image = await DicomParser.load(file);
+        } catch (error) {
+            console.error("DICOM import failed:", error);
+            this.showToast(error.message || "Unable to read DICOM file", "error");
+            return;
+        }
+
+        this.state.dicom = {
+            file,
+            image,
+            window: image.window ? { ...image.window } : null
+        };
+
+        const scanType = DicomParser.scanTypeFor(image.tags.modality);
+        if (scanType) this.setScanType(scanType);
+
+        this.renderDicomMeta();
+        this.setupDicomWindowControls();
+        this.renderDicomPreview();
+        this.dom.dicom.panel?.classList.remove('hidden');
+        this.dom.dicom.panel?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+
+    renderDicomMeta() {
+        const { tags, width, height } = this.state.dicom.image;
+        if (!this.dom.dicom.meta) return;
+
+        const rows = [
+            ['Modality', tags.modality || 'Unknown'],
+            ['Study ID', tags.studyId || 'N/A'],
+            ['Study Date', tags.studyDate || 'N/A'],
+            ['Description', tags.studyDescription || tags.bodyPart || 'N/A'],
+            ['Matrix', `${width} × ${height}`]
+        ];
+
+        this.dom.dicom.meta.innerHTML = rows.map(([label, value]) => `
+            <div class="metadata-row">
+                <span class="metadata-label">${label}:</span>
+                <span class="metadata-value">${this.escapeHtml(value)}</span>
+            </div>
+        `).join('');
+    },
+
+    setupDicomWindowControls() {
+        const { image, window: win } = this.state.dicom;
+        const { windowControls, preset, center, width } = this.dom.dicom;
+        if (!windowControls) return;
+
+        // Colour and JPEG images have no window to adjust
+        windowControls.classList.toggle('hidden', !win);
+        if (!win) return;
+
+        const range = Math.max(image.max - image.min, 1);
+        center.min = Math.floor(image.min);
+        center.max = Math.ceil(image.max);
+        width.min = 1;
+        width.max = Math.ceil(range * 2);
+
+        const isCT = image.tags.modality === 'CT';
+        preset.closest('.dicom-control')?.classList.toggle('hidden', !isCT);
+        preset.innerHTML = '<option value="">Custom</option>' +
+            Object.keys(DicomParser.CT_WINDOW_PRESETS)
+                .map(name => `<option value="${name}">${name}</option>`)
+                .join('');
+
+        this.syncDicomWindowInputs();
+    },
+
+    applyDicomPreset(name) {
+        const preset = DicomParser.CT_WINDOW_PRESETS[name];
+        if (!preset) return;
+
+        this.state.dicom.window = { ...preset };
+        this.syncDicomWindowInputs();
+        this.renderDicomPreview();
+    },
+
+    syncDicomWindowInputs() {
+        const { center, width, centerValue, widthValue } = this.dom.dicom;
+        const win = this.state.dicom.window;
+
+        center.value = win.center;
+        width.value = win.width;
+        centerValue.textContent = Math.round(win.center);
+        widthValue.textContent = Math.round(win.width);
+    },
+
+    renderDicomPreview() {
+        const { image, window: win } = this.state.dicom;
+        if (!this.dom.dicom.canvas) return;
+
+        if (win) {
+            this.dom.dicom.centerValue.textContent = Math.round(win.center);
+            this.dom.dicom.widthValue.textContent = Math.round(win.width);
+        }
+
+        DicomParser.render(image, this.dom.dicom.canvas, win || {});
+    },
+
+    async analyzeDicom() {
+        if (!this.state.dicom) return;
+
+        const { file, image } = this.state.dicom;
+
+        // The backend takes ordinary images: send the windowed rendering
+        const blob = await new Promise(resolve => {
+            this.dom.dicom.canvas.toBlob(resolve, 'image/jpeg', this.CONFIG.JPEG_QUALITY);
+        });
+        const jpeg = new File([blob], `${file.name.replace(/\.dcm$/i, '')}.jpg`, { type: 'image/jpeg' });
+        const meta = await this.getDicomEntryMeta(image.tags);
+
+        this.closeDicomPreview();
+        await this.runAnalysis(jpeg, meta);
+    },
+
+    async getDicomEntryMeta(tags) {
+        const meta = {
+            source: 'dicom',
+            modality: tags.modality,
+            studyId: tags.studyId,
+            studyDate: tags.studyDate,
+            studyInstanceUid: tags.studyInstanceUid,
+            accessionNumber: tags.accessionNumber,
+            pixelSpacing: tags.pixelSpacing,
+            patient: await this.patientFromDicomTags(tags)
+        };
+
+        // Drop tags the file did not carry
+        Object.keys(meta).forEach(key => {
+            if (!meta[key]) delete meta[key];
+        });
+        return meta;
+    },
+
+    closeDicomPreview() {
+        this.state.dicom = null;
+        this.dom.dicom.panel?.classList.add('hidden');
+    },
+
+    setupZoomHandling() {
+        if (!this.dom.video) return;
+        
+        let initialDistance = 0;
+        let currentZoomIndex = 0;
+        
+        this.dom.video.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) {
+                initialDistance = this.getPinchDistance(e.touches);
+            }
+        });
+        
+        this.dom.video.addEventListener('touchmove', (e) => {
+            if (e.touches.length === 2) {
+                e.preventDefault();
+                const distance = this.getPinchDistance(e.touches);
+                const delta = distance - initialDistance;
+                
+                if (Math.abs(delta) > 20) {
+                    const direction = delta > 0 ? 1 : -1;
+                    currentZoomIndex = Math.min(
+                        Math.max(currentZoomIndex + direction, 0),
+                        this.CONFIG.ZOOM_STEPS.length - 1
+                    );
+                    
+                    this.state.zoomLevel = this.CONFIG.ZOOM_STEPS[currentZoomIndex];
+                    this.updateZoomIndicator();
+                    
+                    // Apply zoom if supported
+                    this.applyZoom();
+                    
+                    initialDistance = distance;
+                }
+            }
+        });
+    },
+
+    getPinchDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy);
+    },
+
+    async applyZoom() {
+        if (!this.state.stream) return;
+        
+        try {
+            const track = this.state.stream.getVideoTracks()[0];
+            const capabilities = track.getCapabilities();
             
-            // Type filters
-            if (this.state.activeFilters.includes('xray') && item.type === 'xray') return true;
-            if (this.state.activeFilters.includes('ct') && item.type === 'ct') return true;
-            if (this.state.activeFilters.includes('mri') && item.type === 'mri') return true;
-            if (this.state.activeFilters.includes('ultrasound') && item.type === 'ultrasound') return true;
-            
-            // If type filters are active but this item doesn't match, filter it out
-            const typeFilters = ['xray', 'ct', 'mri', 'ultrasound'].filter(f => 
-                this.state.activeFilters.includes(f)
-            );
-            
-            if (typeFilters.length > 0 && !typeFilters.includes(item.type)) {
-                return false;
+            if (capabilities.zoom) {
+                await track.applyConstraints({
+                    advanced: [{ zoom: this.state.zoomLevel }]
+                });
             }
+        } catch (err) {
+            console.log("Zoom not supported");
+        }
+    },
+
+    updateZoomIndicator() {
+        if (this.dom.zoomIndicator) {
+            this.dom.zoomIndicator.textContent = `${this.state.zoomLevel}x`;
+        }
+    },
+
+    // ========== AI STATUS ==========
+    setAIStatus(status, text) {
+        if (this.dom.aiStatusContainer) {
+            // Remove all status classes
+            this.dom.aiStatusContainer.classList.remove('online', 'offline', 'processing', 'error');
+            this.dom.aiStatusContainer.classList.add(status);
+        }
+        
+        if (this.dom.statusBadge) {
+            this.dom.statusBadge.textContent = text;
+        }
+    },
+
+    // ========== FILTER FUNCTIONS ==========
+    toggleFilterBar() {
+        this.state.filterVisible = !this.state.filterVisible;
+        
+        if (this.dom.filterBar) {
+            this.dom.filterBar.classList.toggle('hidden', !this.state.filterVisible);
             
-            return true;
+            if (this.state.filterVisible) {
+                this.dom.filterBar.style.animation = 'slideDown 0.3s ease';
+            }
+        }
+    },
+
+    handleFilterChipClick(event) {
+        const chip = event.currentTarget;
+        const filter = chip.dataset.filter;
+        
+        // Toggle active class
+        chip.classList.toggle('active');
+        
+        // Update active filters
+        if (chip.classList.contains('active')) {
+            this.state.activeFilters.push(filter);
+        } else {
+            this.state.activeFilters = this.state.activeFilters.filter(f => f !== filter);
+        }
+        
+        // Apply filters
+        this.renderHistory();
+        this.showToast(`Filter applied: ${filter}`, "info");
+    },
+
+    applyFilters(items) {
+        if (this.state.activeFilters.length === 0) return items;
+        
+        return items.filter(item => {
+            // Date filters
+            if (this.state.activeFilters.includes('today')) {
+                const today = new Date().toDateString();
+                const itemDate = new Date(item.date).toDateString();
+                if (itemDate !== today) return false;
+            }
+            
+            if (this.state.activeFilters.includes('week')) {
+                const weekAgo = new Date();
+                weekAgo.setDate(weekAgo.getDate() - 7);
+                if (new Date(item.date) < weekAgo) return false;
+            }
+            
+            if (this.state.activeFilters.includes('month')) {
+                const monthAgo = new Date();
+                monthAgo.setMonth(monthAgo.getMonth() - 1);
+                if (new Date(item.date) < monthAgo) return false;
+            }
+            
+            // Type filters
+            if (this.state.activeFilters.includes('xray') && item.type === 'xray') return true;
+            if (this.state.activeFilters.includes('ct') && item.type === 'ct') return true;
+            if (this.state.activeFilters.includes('mri') && item.type === 'mri') return true;
+            if (this.state.activeFilters.includes('ultrasound') && item.type === 'ultrasound') return true;
+            
+            // If type filters are active but this item doesn't match, filter it out
+            const typeFilters = ['xray', 'ct', 'mri', 'ultrasound'].filter(f => 
+                this.state.activeFilters.includes(f)
+            );
+            
+            if (typeFilters.length > 0 && !typeFilters.includes(item.type)) {
+                return false;
+            }
+            
+            return true;
+        });
+    },
+
+    // ========== HISTORY FUNCTIONS ==========
+    renderHistory() {
+        if (!this.dom.historyList) return;
+
+        if (this.state.historyView === 'patients') {
+            this.renderPatientTimeline();
+            return;
+        }
+
+        let filtered = this.filterHistory(this.state.searchTerm);
+        filtered = this.applyFilters(filtered);
+        
+        if (filtered.length === 0) {
+            this.dom.historyList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📋</div>
+                    <p>No scans found matching your criteria.</p>
+                    <p class="empty-state-sub">Try adjusting your filters or search term</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.dom.historyList.innerHTML = filtered.map(item => this.createHistoryCard(item)).join('');
+
+        if (this.state.history.length < this.state.historyTotal) {
+            this.dom.historyList.insertAdjacentHTML('beforeend', `
+                <button class="history-load-more" id="history-load-more">
+                    Load older scans (${this.state.historyTotal - this.state.history.length} more)
+                </button>
+            `);
+            document.getElementById('history-load-more')
+                .addEventListener('click', () => this.loadMoreHistory());
+        }
+
+        this.attachHistoryCardHandlers();
+    },
+
+    createHistoryCard(item) {
+        if (item.status === 'pending' || item.status === 'failed') {
+            return this.createPendingHistoryCard(item);
+        }
+
+        const confidenceClass = item.confidence >= 85 ? 'confidence-high' : 
+                              item.confidence >= 70 ? 'confidence-medium' : 'confidence-low';
+        
+        return `
+            <div class="history-card" data-id="${item.id}">
+                <div class="history-header">
+                    <span class="history-type">${item.type.toUpperCase()}</span>
+                    <span class="history-date">${item.date}</span>
+                </div>
+                <div class="history-body">
+                    <h4>${this.escapeHtml(item.title)}</h4>
+                    <span class="review-badge ${this.getReviewStatus(item)}">${this.CONFIG.REVIEW_STATUSES[this.getReviewStatus(item)]}</span>
+                    ${item.studyId ? `<p class="history-study-id">${this.escapeHtml(item.studyId)}</p>` : ''}
+                    ${item.patient ? `<p class="history-patient">👤 ${this.escapeHtml(item.patient.name)}</p>` : ''}
+                    <p class="${confidenceClass}">${item.confidence}% Confidence</p>
+                    <div class="history-confidence">
+                        <div class="confidence-bar ${confidenceClass}" style="width: ${item.confidence}%"></div>
+                    </div>
+                    <label class="history-compare-toggle">
+                        <input type="checkbox" class="history-compare" value="${item.id}"
+                            ${this.state.compareSelection.includes(item.id) ? 'checked' : ''}>
+                        Compare
+                    </label>
+                    <button class="history-view-btn" data-id="${item.id}">View Details</button>
+                </div>
+            </div>
+        `;
+    },
+
+    createPendingHistoryCard(item) {
+        const label = item.status === 'failed' ? '⚠️ Sync failed' : '⏳ Pending sync';
+
+        return `
+            <div class="history-card ${item.status}" data-id="${item.id}">
+                <div class="history-header">
+                    <span class="history-type">${item.type.toUpperCase()}</span>
+                    <span class="history-date">${item.date}</span>
+                </div>
+                <div class="history-body">
+                    <h4>${this.escapeHtml(item.title)}</h4>
+                    ${item.patient ? `<p class="history-patient">👤 ${this.escapeHtml(item.patient.name)}</p>` : ''}
+                    <p class="history-sync-status">${label}</p>
+                    ${item.syncError ? `<p class="history-sync-error">${this.escapeHtml(item.syncError)}</p>` : ''}
+                    <button class="history-view-btn" data-id="${item.id}">View Details</button>
+                </div>
+            </div>
+        `;
+    },
+
+    attachHistoryCardHandlers() {
+        this.dom.historyList.querySelectorAll('.history-view-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const id = Number(btn.closest('.history-card').dataset.id);
+                const scan = this.state.history.find(h => h.id === id);
+                if (scan) this.viewResult(scan);
+            });
+        });
+        
+        this.dom.historyList.querySelectorAll('.history-compare').forEach(input => {
+            input.addEventListener('change', () => this.toggleCompareSelection(Number(input.value), input.checked));
+        });
+
+        this.dom.historyList.querySelectorAll('.history-card').forEach(card => {
+            card.addEventListener('click', (e) => {
+                if (e.target.closest('.history-compare-toggle')) return;
+                const id = Number(card.dataset.id);
+                const scan = this.state.history.find(h => h.id === id);
+                if (scan) this.viewResult(scan);
+            });
+        });
+    },
+
+    // ========== PATIENT TIMELINE ==========
+    setHistoryView(view) {
+        this.state.historyView = view;
+
+        this.dom.historyViewBtns.forEach(btn => {
+            const active = btn.dataset.view === view;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-selected', String(active));
+        });
+        this.dom.historyList?.classList.toggle('hidden', view !== 'list');
+        this.dom.timeline.container?.classList.toggle('hidden', view !== 'patients');
+        this.renderCompareBar();
+
+        this.renderHistory();
+    },
+
+    // Patients come from the store so scans not paged into memory count too
+    async renderPatientTimeline() {
+        const { patients: list } = this.dom.timeline;
+        if (!list) return;
+
+        let summaries;
+        try {
+            summaries = await HistoryStore.patientSummaries();
+        } catch (error) {
+            console.error("Failed to load patients:", error);
+            this.showToast("Unable to load patient timeline", "error");
+            return;
+        }
+
+        const term = this.state.searchTerm.trim().toLowerCase();
+        summaries = summaries
+            .filter(({ patient }) => !term ||
+                patient.name?.toLowerCase().includes(term) ||
+                patient.id?.toLowerCase().includes(term) ||
+                patient.mrn?.toLowerCase().includes(term))
+            .sort((a, b) => b.lastTimestamp - a.lastTimestamp);
+
+        if (summaries.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">👤</div>
+                    <p>No patients found.</p>
+                    <p class="empty-state-sub">Scans filed under a patient appear here</p>
+                </div>
+            `;
+            return;
+        }
+
+        const activeId = this.state.timeline.patientId;
+        list.innerHTML = summaries.map(({ patient, count, lastTimestamp }) => `
+            <button class="timeline-patient ${patient.id === activeId ? 'active' : ''}" data-patient-id="${this.escapeHtml(patient.id)}">
+                <strong>${this.escapeHtml(patient.name)}</strong>
+                <span>${this.escapeHtml(this.formatPatientDetails(patient))}</span>
+                <span class="timeline-patient-meta">${count} stud${count === 1 ? 'y' : 'ies'} · last ${new Date(lastTimestamp).toLocaleDateString()}</span>
+            </button>
+        `).join('');
+
+        // Keep the open patient, or open the most recent one
+        const selected = summaries.find(s => s.patient.id === activeId) || summaries[0];
+        await this.selectTimelinePatient(selected.patient.id);
+    },
+
+    async selectTimelinePatient(patientId) {
+        const { timeline } = this.state;
+        if (timeline.patientId !== patientId) timeline.selected = [];
+        timeline.patientId = patientId;
+
+        this.dom.timeline.patients?.querySelectorAll('.timeline-patient').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.patientId === patientId);
+        });
+
+        try {
+            const stored = await HistoryStore.query({ patientId, limit: Number.MAX_SAFE_INTEGER });
+            // Prefer the in-memory objects so edits made elsewhere stay in sync
+            timeline.entries = stored.map(entry => this.state.history.find(h => h.id === entry.id) || entry);
+        } catch (error) {
+            console.error("Failed to load patient studies:", error);
+            timeline.entries = [];
+        }
+
+        if (timeline.patientId === patientId) this.renderTimelineMain();
+    },
+
+    renderTimelineMain() {
+        const { main } = this.dom.timeline;
+        const { entries, selected } = this.state.timeline;
+        if (!main) return;
+
+        const studies = this.applyFilters(entries);
+        const patient = entries[0]?.patient;
+        if (!patient) return;
+
+        // Group by calendar day, newest first (entries arrive newest first)
+        const groups = [];
+        studies.forEach(entry => {
+            const day = new Date(entry.timestamp).toLocaleDateString(undefined, {
+                year: 'numeric', month: 'short', day: 'numeric'
+            });
+            const group = groups[groups.length - 1];
+            if (group?.day === day) group.entries.push(entry);
+            else groups.push({ day, entries: [entry] });
+        });
+
+        const modalityCounts = studies.reduce((counts, entry) => {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+            return counts;
+        }, {});
+
+        main.innerHTML = `
+            <div class="timeline-header">
+                <div>
+                    <h3>${this.escapeHtml(patient.name)}</h3>
+                    <p>${this.escapeHtml(this.formatPatientDetails(patient))}</p>
+                </div>
+                <button class="btn-primary timeline-open-selected" ${selected.length === 2 ? '' : 'disabled'}>
+                    Compare Selected (${selected.length}/2)
+                </button>
+            </div>
+
+            <div class="timeline-modalities">
+                ${Object.entries(modalityCounts).map(([type, count]) => `
+                    <span class="timeline-modality modality-${type}">${type.toUpperCase()} × ${count}</span>
+                `).join('')}
+            </div>
+
+            ${this.renderTimelineTrend(studies)}
+
+            ${groups.length === 0 ? `
+                <div class="empty-state">
+                    <p>No studies match the current filters.</p>
+                </div>
+            ` : groups.map(group => `
+                <div class="timeline-day">
+                    <h5 class="timeline-day-label">${group.day}</h5>
+                    ${group.entries.map(entry => this.createTimelineStudy(entry)).join('')}
+                </div>
+            `).join('')}
+        `;
+    },
+
+    createTimelineStudy(entry) {
+        const pending = entry.status === 'pending' || entry.status === 'failed';
+        const checked = this.state.timeline.selected.includes(entry.id);
+        const time = new Date(entry.timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+        return `
+            <div class="timeline-study ${checked ? 'selected' : ''}">
+                <label class="timeline-select-wrap" title="Select for comparison">
+                    <input type="checkbox" class="timeline-select" value="${entry.id}" ${checked ? 'checked' : ''} ${pending ? 'disabled' : ''}>
+                </label>
+                <span class="timeline-modality modality-${entry.type}">${entry.type.toUpperCase()}</span>
+                <div class="timeline-study-info">
+                    <strong>${this.escapeHtml(entry.title)}</strong>
+                    <span>${time} · ${this.escapeHtml(entry.studyId || '')}</span>
+                </div>
+                <span class="timeline-study-confidence">${pending ? 'Pending' : `${entry.confidence}%`}</span>
+                <button class="history-view-btn timeline-view-btn" data-id="${entry.id}">View</button>
+            </div>
+        `;
+    },
+
+    // Confidence over time as an inline SVG; points are coloured by modality
+    renderTimelineTrend(entries) {
+        const points = entries
+            .filter(e => typeof e.confidence === 'number')
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (points.length < 2) return '';
+
+        const width = 600;
+        const height = 140;
+        const pad = 24;
+        const first = points[0].timestamp;
+        const span = Math.max(points[points.length - 1].timestamp - first, 1);
+        const minConf = Math.min(...points.map(p => p.confidence), 50);
+
+        const x = (p) => pad + ((p.timestamp - first) / span) * (width - pad * 2);
+        const y = (p) => height - pad - ((p.confidence - minConf) / (100 - minConf || 1)) * (height - pad * 2);
+
+        const types = [...new Set(points.map(p => p.type))];
+        const lines = types.map(type => {
+            const series = points.filter(p => p.type === type);
+            return series.length > 1 ?
+                `<polyline class="trend-line modality-${type}" points="${series.map(p => `${x(p)},${y(p)}`).join(' ')}" />` : '';
+        }).join('');
+
+        return `
+            <figure class="timeline-trend">
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Confidence trend">
+                    <line class="trend-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" />
+                    <text class="trend-label" x="2" y="${pad}">100%</text>
+                    <text class="trend-label" x="2" y="${height - pad}">${minConf}%</text>
+                    ${lines}
+                    ${points.map(p => `
+                        <circle class="trend-point modality-${p.type}" cx="${x(p)}" cy="${y(p)}" r="4">
+                            <title>${p.type.toUpperCase()} · ${new Date(p.timestamp).toLocaleDateString()} · ${p.confidence}%</title>
+                        </circle>
+                    `).join('')}
+                </svg>
+                <figcaption>Confidence trend by modality</figcaption>
+            </figure>
+        `;
+    },
+
+    handleTimelineClick(e) {
+        const viewBtn = e.target.closest('.timeline-view-btn');
+        if (viewBtn) {
+            const entry = this.state.timeline.entries.find(h => h.id === Number(viewBtn.dataset.id));
+            if (entry) this.viewResult(entry);
+            return;
+        }
+
+        if (e.target.closest('.timeline-open-selected')) {
+            const { entries, selected } = this.state.timeline;
+            const studies = selected.map(id => entries.find(h => h.id === id)).filter(Boolean);
+            if (studies.length === 2) this.openComparison(studies);
+        }
+    },
+
+    // At most two studies; picking a third replaces the oldest pick
+    toggleTimelineSelection(id, checked) {
+        const { timeline } = this.state;
+        timeline.selected = timeline.selected.filter(s => s !== id);
+        if (checked) {
+            timeline.selected.push(id);
+            if (timeline.selected.length > 2) timeline.selected.shift();
+        }
+        this.renderTimelineMain();
+    },
+
+    // ========== STUDY COMPARISON ==========
+    setupComparison() {
+        const { compare } = this.dom;
+        if (!compare.panel || typeof ImageViewer === 'undefined') return;
+
+        // Linked viewers mirror each other's pan, zoom and window/level
+        this.compareViewers = compare.canvases.map((canvas, i) => new ImageViewer(canvas, {
+            onChange: (viewState) => {
+                compare.invertBtn?.setAttribute('aria-pressed', String(viewState.invert));
+                if (compare.link?.checked) this.compareViewers[1 - i].setState(viewState);
+            }
+        }));
+
+        compare.closeBtn?.addEventListener('click', () => this.closeComparison());
+
+        compare.tools.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.compareViewers.forEach(viewer => viewer.setTool(btn.dataset.tool));
+                compare.tools.forEach(b => {
+                    const active = b === btn;
+                    b.classList.toggle('active', active);
+                    b.setAttribute('aria-pressed', String(active));
+                });
+            });
+        });
+
+        compare.invertBtn?.addEventListener('click', () => {
+            const invert = !this.compareViewers[0].invert;
+            this.compareViewers.forEach(viewer => viewer.setInvert(invert));
+        });
+        compare.resetBtn?.addEventListener('click', () => {
+            this.compareViewers.forEach(viewer => viewer.reset());
+        });
+        compare.link?.addEventListener('change', () => {
+            // Re-linking snaps the follow-up to the prior's view
+            if (compare.link.checked) this.compareViewers[1].setState(this.compareViewers[0].getState());
+        });
+
+        compare.barOpen?.addEventListener('click', () => {
+            const studies = this.state.compareSelection
+                .map(id => this.state.history.find(h => h.id === id))
+                .filter(Boolean);
+            if (studies.length === 2) this.openComparison(studies);
+        });
+        compare.barClear?.addEventListener('click', () => {
+            this.state.compareSelection = [];
+            this.renderHistory();
+            this.renderCompareBar();
+        });
+    },
+
+    // At most two studies; picking a third replaces the oldest pick
+    toggleCompareSelection(id, checked) {
+        const selection = this.state.compareSelection.filter(s => s !== id);
+        if (checked) {
+            selection.push(id);
+            if (selection.length > 2) selection.shift();
+        }
+        this.state.compareSelection = selection;
+
+        this.dom.historyList?.querySelectorAll('.history-compare').forEach(input => {
+            input.checked = selection.includes(Number(input.value));
+        });
+        this.renderCompareBar();
+    },
+
+    renderCompareBar() {
+        const { bar, barText, barOpen } = this.dom.compare;
+        if (!bar) return;
+
+        const count = this.state.compareSelection.length;
+        bar.classList.toggle('hidden', count === 0 || this.state.historyView !== 'list');
+        barText.textContent = count === 2 ? 'Two scans selected' : 'Select one more scan to compare';
+        barOpen.disabled = count !== 2;
+    },
+
+    /**
+     * Opens two studies side by side, prior on the left and follow-up on
+     * the right, with a findings diff and the confidence change.
+     */
+    async openComparison(studies) {
+        const { compare } = this.dom;
+        if (!compare.panel) return;
+
+        const ordered = [...studies].sort((a, b) => a.timestamp - b.timestamp);
+        const [prior, followUp] = ordered;
+        const diff = this.diffFindings(this.getReportFindings(prior), this.getReportFindings(followUp));
+        this.state.comparison = ordered;
+
+        const warnings = [];
+        if (prior.patient?.id !== followUp.patient?.id) {
+            warnings.push('These studies belong to different patients.');
+        }
+        if (prior.type !== followUp.type) {
+            warnings.push(`Modalities differ (${prior.type.toUpperCase()} vs ${followUp.type.toUpperCase()}).`);
+        }
+        compare.warning.textContent = warnings.join(' ');
+        compare.warning.classList.toggle('hidden', warnings.length === 0);
+
+        compare.summaries[0].innerHTML = this.createComparisonSummary(prior, 'Prior', { resolved: diff.resolved });
+        compare.summaries[1].innerHTML = this.createComparisonSummary(followUp, 'Follow-up', { new: diff.added });
+        compare.diff.innerHTML = this.createComparisonDiff(prior, followUp, diff);
+
+        compare.panel.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+
+        await Promise.all(ordered.map(async (entry, i) => {
+            const viewer = this.compareViewers[i];
+            const placeholder = compare.canvases[i].parentElement.querySelector('.compare-no-image');
+            viewer.clear();
+
+            const blob = await HistoryStore.getImage(entry.id).catch(() => null);
+            if (this.state.comparison !== ordered) return;
+
+            placeholder.classList.toggle('hidden', Boolean(blob));
+            if (blob) {
+                await viewer.load(blob, { measurements: entry.measurements || [], pixelSpacing: entry.pixelSpacing || null });
+                viewer.setRegions(entry.regions || []);
+            }
+        }));
+    },
+
+    // Findings match on normalised text: case, spacing and trailing punctuation ignored
+    diffFindings(priorFindings, followUpFindings) {
+        const key = (finding) => finding.toLowerCase().replace(/[.;:,]+$/, '').replace(/\s+/g, ' ').trim();
+        const priorKeys = new Set(priorFindings.map(key));
+        const followUpKeys = new Set(followUpFindings.map(key));
+
+        return {
+            added: followUpFindings.filter(f => !priorKeys.has(key(f))),
+            resolved: priorFindings.filter(f => !followUpKeys.has(key(f))),
+            unchanged: followUpFindings.filter(f => priorKeys.has(key(f)))
+        };
+    },
+
+    createComparisonSummary(entry, role, highlight) {
+        const marked = new Set([...(highlight.new || []), ...(highlight.resolved || [])]);
+        const markClass = highlight.new ? 'finding-new' : 'finding-resolved';
+
+        return `
+            <div class="compare-summary-header">
+                <span class="ai-badge">${role}</span>
+                <span class="history-date">${new Date(entry.timestamp).toLocaleString()}</span>
+            </div>
+            <h4>${this.escapeHtml(entry.title)}</h4>
+            <p class="compare-meta">${entry.type.toUpperCase()} · ${this.escapeHtml(entry.studyId || '')} · ${entry.confidence}% confidence</p>
+            <ul class="compare-findings">
+                ${this.getReportFindings(entry).map(f => `
+                    <li class="${marked.has(f) ? markClass : ''}">${this.escapeHtml(f)}</li>
+                `).join('')}
+            </ul>
+        `;
+    },
+
+    createComparisonDiff(prior, followUp, diff) {
+        const change = followUp.confidence - prior.confidence;
+        const changeClass = change > 0 ? 'change-up' : change < 0 ? 'change-down' : 'change-none';
+        const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '■';
+        const days = Math.round((followUp.timestamp - prior.timestamp) / 86400000);
+        const list = (items) => items.length ?
+            items.map(f => `<li>${this.escapeHtml(f)}</li>`).join('') :
+            '<li class="compare-diff-empty">None</li>';
+
+        return `
+            <div class="compare-change">
+                <div class="compare-change-item">
+                    <span class="metadata-label">Confidence change</span>
+                    <span class="compare-change-value ${changeClass}">${arrow} ${change > 0 ? '+' : ''}${change} pts</span>
+                    <span class="compare-change-sub">${prior.confidence}% → ${followUp.confidence}%</span>
+                </div>
+                <div class="compare-change-item">
+                    <span class="metadata-label">Interval</span>
+                    <span class="compare-change-value">${days} day${days === 1 ? '' : 's'}</span>
+                </div>
+                <div class="compare-change-item">
+                    <span class="metadata-label">Impression</span>
+                    <span class="compare-change-value">${prior.title === followUp.title ? 'Unchanged' : 'Changed'}</span>
+                    ${prior.title === followUp.title ? '' : `
+                        <span class="compare-change-sub">${this.escapeHtml(prior.title)} → ${this.escapeHtml(followUp.title)}</span>
+                    `}
+                </div>
+            </div>
+
+            <div class="compare-diff-grid">
+                <div class="compare-diff-column finding-new">
+                    <h5>New (${diff.added.length})</h5>
+                    <ul>${list(diff.added)}</ul>
+                </div>
+                <div class="compare-diff-column finding-resolved">
+                    <h5>Resolved (${diff.resolved.length})</h5>
+                    <ul>${list(diff.resolved)}</ul>
+                </div>
+                <div class="compare-diff-column finding-unchanged">
+                    <h5>Unchanged (${diff.unchanged.length})</h5>
+                    <ul>${list(diff.unchanged)}</ul>
+                </div>
+            </div>
+        `;
+    },
+
+    closeComparison() {
+        this.state.comparison = null;
+        this.dom.compare.panel?.classList.add('hidden');
+        document.body.style.overflow = '';
+        this.compareViewers?.forEach(viewer => viewer.clear());
+    },
+
+    // ========== RESULTS PANEL ==========
+    toggleResults(show) {
+        if (this.dom.resultsPanel) {
+            this.dom.resultsPanel.classList.toggle('hidden', !show);
+            document.body.style.overflow = show ? 'hidden' : '';
+        }
+    },
+
+    // A user opening a stored result. Only this is audited as a view:
+    // re-renders and fresh analyses are not
+    viewResult(entry) {
+        this.renderResults(entry);
+        this.toggleResults(true);
+        this.audit('view', entry);
+    },
+
+    renderResults(data) {
+        this.state.currentResult = data;
+        const { resultElements } = this.dom;
+
+        // Entries saved before identifiers existed get them once, on first view
+        if (this.assignStudyIdentifiers(data)) {
+            this.saveState([data]).catch(error => console.error("Failed to save study identifiers:", error));
+        }
+
+        // Update confidence circle
+        if (resultElements.confidencePath) {
+            resultElements.confidencePath.style.strokeDasharray = `${data.confidence ?? 0}, 100`;
+        }
+        
+        if (resultElements.confidenceText) {
+            resultElements.confidenceText.textContent = data.confidence == null ? '--' : `${data.confidence}%`;
+        }
+        
+        if (resultElements.title) {
+            resultElements.title.textContent = data.title;
+        }
+        
+        if (resultElements.resultsTitle) {
+            resultElements.resultsTitle.textContent = data.title;
+        }
+        
+        if (resultElements.description) {
+            resultElements.description.textContent = data.description || this.MOCK_DATA.defaultDescription;
+        }
+        
+        // Update findings
+        if (resultElements.findingsList) {
+            const findings = data.findings || this.MOCK_DATA.defaultFindings;
+            const linked = new Set((data.regions || []).map(r => r.finding));
+            resultElements.findingsList.innerHTML = findings
+                .map((finding, i) => linked.has(i) ?
+                    `<li class="finding-item has-region" data-finding="${i}" tabindex="0">${this.escapeHtml(finding)}</li>` :
+                    `<li class="finding-item">${this.escapeHtml(finding)}</li>`)
+                .join('');
+        }
+        
+        // Update medical metadata
+        if (resultElements.medicalMetadata) {
+            resultElements.medicalMetadata.classList.remove('hidden');
+            
+            if (resultElements.patient) {
+                resultElements.patient.textContent = data.patient ?
+                    `${data.patient.name} (${this.formatPatientDetails(data.patient)})` : 'Not recorded';
+            }
+
+            if (resultElements.studyId) {
+                resultElements.studyId.textContent = data.studyId;
+            }
+
+            if (resultElements.accessionNumber) {
+                resultElements.accessionNumber.textContent = data.accessionNumber;
+            }
+
+            if (resultElements.studyDate) {
+                resultElements.studyDate.textContent = data.studyDate || data.date;
+            }
+            
+            if (resultElements.modalityType) {
+                const type = data.type.toUpperCase();
+                // Keep the DICOM modality code (e.g. DX, CR) when it differs
+                resultElements.modalityType.textContent = data.modality && data.modality !== type ?
+                    `${type} (${data.modality})` : type;
+            }
+            
+            if (resultElements.aiModel) {
+                resultElements.aiModel.textContent = this.formatModel(data);
+            }
+
+            if (resultElements.analyzedAt) {
+                resultElements.analyzedAt.textContent = this.formatAnalyzedAt(data);
+            }
+        }
+
+        this.renderReview(data);
+        this.loadResultImage(data);
+    },
+
+    // ========== CLINICIAN REVIEW ==========
+    /**
+     * AI results stay preliminary until a doctor signs them off. The AI
+     * output on the entry is never changed: the clinician's findings and
+     * impression live on `entry.review`, and reports use those instead.
+     */
+    getReviewStatus(entry) {
+        if (entry.status === 'pending' || entry.status === 'failed') return null;
+        return entry.review?.status || 'pending';
+    },
+
+    // Findings as signed off by the clinician, falling back to the AI's
+    getReportFindings(entry) {
+        return entry.review?.findings || entry.findings || [];
+    },
+
+    canReview() {
+        return this.can('review.signoff');
+    },
+
+    renderReview(entry) {
+        const dom = this.dom.review;
+        if (!dom.panel) return;
+
+        const status = this.getReviewStatus(entry);
+        dom.panel.classList.toggle('hidden', !status);
+        if (!status) return;
+
+        const review = entry.review;
+        dom.status.className = `review-badge ${status}`;
+        dom.status.textContent = this.CONFIG.REVIEW_STATUSES[status];
+
+        if (review) {
+            const role = review.reviewer.role === 'doctor' ? 'Radiologist' : review.reviewer.role;
+            dom.meta.textContent = `Signed off by ${review.reviewer.name}${role ? ` (${role})` : ''} · ` +
+                new Date(review.reviewedAt).toLocaleString();
+        } else {
+            dom.meta.textContent = this.canReview() ?
+                'Preliminary AI result. Review the findings and sign off.' :
+                'Preliminary AI result awaiting radiologist review.';
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const parts = [];
+        if (review?.impression) {
+            parts.push(`<p class="review-impression"><strong>Impression:</strong> ${esc(review.impression)}</p>`);
+        }
+        if (review?.findings) {
+            parts.push(`
+                <p class="review-label">Clinician findings</p>
+                <ul class="review-findings">${review.findings.map(f => `<li>${esc(f)}</li>`).join('')}</ul>
+            `);
+        }
+        if (review?.history?.length > 1) {
+            parts.push(`
+                <details class="review-history">
+                    <summary>Sign-off history (${review.history.length})</summary>
+                    <ul>${review.history.map(h => `
+                        <li>${esc(this.CONFIG.REVIEW_STATUSES[h.status])} · ${esc(h.reviewer)} · ${new Date(h.at).toLocaleString()}</li>
+                    `).join('')}</ul>
+                </details>
+            `);
+        }
+        dom.summary.innerHTML = parts.join('');
+
+        dom.form.classList.add('hidden');
+        dom.actions.classList.toggle('hidden', !this.canReview());
+        dom.acceptBtn.textContent = review ? 'Re-sign' : 'Accept & Sign';
+    },
+
+    openReviewForm() {
+        const entry = this.state.currentResult;
+        const dom = this.dom.review;
+        if (!entry || !this.canReview()) return;
+
+        dom.findings.value = this.getReportFindings(entry).join('\n');
+        dom.impression.value = entry.review?.impression || '';
+        dom.error.classList.add('hidden');
+        dom.form.classList.remove('hidden');
+        dom.actions.classList.add('hidden');
+        dom.findings.focus();
+    },
+
+    // Signs off the AI findings (or the current clinician findings) unchanged
+    acceptReview() {
+        const entry = this.state.currentResult;
+        if (!entry) return;
+
+        this.signOffReview(entry, {
+            findings: this.getReportFindings(entry),
+            impression: entry.review?.impression || ''
+        });
+    },
+
+    submitReviewForm(e) {
+        e.preventDefault();
+        const dom = this.dom.review;
+        const findings = dom.findings.value.split('\n').map(f => f.trim()).filter(Boolean);
+
+        if (!findings.length) {
+            dom.error.textContent = 'Enter at least one finding, or "No abnormality detected".';
+            dom.error.classList.remove('hidden');
+            return;
+        }
+
+        this.signOffReview(this.state.currentResult, {
+            findings,
+            impression: dom.impression.value.trim()
+        });
+    },
+
+    /**
+     * Records a sign-off. The result is "amended" when the findings differ
+     * from the AI's, or when an earlier sign-off is changed.
+     */
+    async signOffReview(entry, { findings, impression }) {
+        if (!entry || !this.canReview()) {
+            this.showToast("Only radiologists can sign off results", "warning");
+            return;
+        }
+
+        const previous = entry.review;
+        const sameList = (a, b) => a.length === b.length && a.every((f, i) => f === b[i]);
+        const differsFromAi = !sameList(findings, entry.findings || []);
+        const changedSinceLastSignOff = previous &&
+            (!sameList(findings, this.getReportFindings(entry)) || impression !== (previous.impression || ''));
+
+        const user = this.state.user;
+        const now = Date.now();
+        const amended = differsFromAi || changedSinceLastSignOff || previous?.status === 'amended';
+        const status = amended ? 'amended' : 'reviewed';
+
+        entry.review = {
+            status,
+            findings: differsFromAi ? findings : null,
+            impression,
+            reviewer: { name: user.name, email: user.email, role: user.role },
+            reviewedAt: now,
+            history: [...(previous?.history || []), { status, reviewer: user.name, at: now }]
+        };
+
+        try {
+            await this.saveState([entry]);
+            // Logged once the sign-off is stored, like deletes
+            this.audit('review', entry, { status });
+            this.showToast(status === 'amended' ? "Amended report signed off" : "Result reviewed and signed off", "success");
+        } catch (error) {
+            console.error("Failed to save review:", error);
+            entry.review = previous;
+            this.showToast("Could not save review", "error");
+        }
+
+        if (this.state.currentResult === entry) this.renderReview(entry);
+        this.renderHistory();
+    },
+
+    // ========== RESULT IMAGE VIEWER ==========
+    setupResultViewer() {
+        const { viewer: dom } = this.dom;
+        if (!dom.canvas || typeof ImageViewer === 'undefined') return;
+
+        this.viewer = new ImageViewer(dom.canvas, {
+            onChange: (viewState) => this.syncViewerControls(viewState),
+            onMeasurementsChange: (measurements) => this.saveMeasurements(measurements),
+            onFindingHover: (finding) => this.highlightFindingItem(finding)
+        });
+
+        // Hovering a finding highlights its regions on the image
+        const findingsList = this.dom.resultElements.findingsList;
+        const findingFromEvent = (e) => e.target.closest?.('.finding-item.has-region');
+        const hoverFinding = (e) => {
+            const item = findingFromEvent(e);
+            if (!this.viewer.overlaysVisible) return;
+            const finding = item ? Number(item.dataset.finding) : null;
+            this.viewer.highlightFinding(finding);
+            this.highlightFindingItem(finding);
+        };
+        findingsList?.addEventListener('mouseover', hoverFinding);
+        findingsList?.addEventListener('focusin', hoverFinding);
+        findingsList?.addEventListener('mouseleave', hoverFinding);
+        findingsList?.addEventListener('focusout', hoverFinding);
+
+        dom.tools.forEach(btn => {
+            btn.addEventListener('click', () => this.setViewerTool(btn.dataset.tool));
+        });
+
+        dom.actions.forEach(btn => {
+            btn.addEventListener('click', () => {
+                switch (btn.dataset.action) {
+                    case 'zoom-in': this.viewer.zoomBy(1.25); break;
+                    case 'zoom-out': this.viewer.zoomBy(0.8); break;
+                    case 'invert': this.viewer.setInvert(!this.viewer.invert); break;
+                    case 'reset': this.viewer.reset(); break;
+                    case 'clear': this.viewer.clearMeasurements(); break;
+                    case 'overlays': this.toggleOverlays(); break;
+                }
+            });
+        });
+
+        const onWindowInput = () => {
+            this.viewer.setWindow(Number(dom.level.value), Number(dom.width.value));
+        };
+        dom.level?.addEventListener('input', onWindowInput);
+        dom.width?.addEventListener('input', onWindowInput);
+    },
+
+    setViewerTool(tool) {
+        this.viewer.setTool(tool);
+        this.dom.viewer.tools.forEach(btn => {
+            const active = btn.dataset.tool === tool;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+
+        const hints = {
+            pan: 'Drag to pan · scroll or pinch to zoom · double-click to fit',
+            window: 'Drag up/down for brightness, left/right for contrast',
+            length: 'Click two points to measure a distance',
+            angle: 'Click three points; the middle point is the vertex'
+        };
+        if (this.dom.viewer.hint) this.dom.viewer.hint.textContent = hints[tool];
+    },
+
+    toggleOverlays() {
+        const visible = !this.viewer.overlaysVisible;
+        this.viewer.setOverlaysVisible(visible);
+        this.highlightFindingItem(null);
+        this.dom.viewer.overlayBtn?.setAttribute('aria-pressed', String(visible));
+    },
+
+    highlightFindingItem(finding) {
+        this.dom.resultElements.findingsList?.querySelectorAll('.finding-item.has-region').forEach(item => {
+            item.classList.toggle('linked', Number(item.dataset.finding) === finding);
+        });
+    },
+
+    syncViewerControls({ window: win, invert }) {
+        const { level, width, levelValue, widthValue, invertBtn } = this.dom.viewer;
+        if (level) level.value = win.level;
+        if (width) width.value = win.width;
+        if (levelValue) levelValue.textContent = Math.round(win.level);
+        if (widthValue) widthValue.textContent = Math.round(win.width);
+        invertBtn?.setAttribute('aria-pressed', String(invert));
+    },
+
+    async loadResultImage(entry) {
+        const { container, loading } = this.dom.viewer;
+        if (!this.viewer || !container) return;
+
+        this.viewer.clear();
+        this.setViewerTool('pan');
+        this.dom.viewer.overlayBtn?.classList.toggle('hidden', !entry.regions?.length);
+        loading?.classList.remove('hidden');
+        container.classList.remove('hidden');
+
+        let blob = null;
+        try {
+            blob = await HistoryStore.getImage(entry.id);
+        } catch (error) {
+            console.error("Failed to load stored image:", error);
+        }
+
+        // Another result may have been opened while the image loaded
+        if (this.state.currentResult !== entry) return;
+
+        if (!blob) {
+            // Demo and legacy entries have no stored capture
+            container.classList.add('hidden');
+            loading?.classList.add('hidden');
+            return;
+        }
+
+        try {
+            await this.viewer.load(blob, {
+                measurements: entry.measurements || [],
+                pixelSpacing: entry.pixelSpacing || null
+            });
+            this.viewer.setRegions(entry.regions || []);
+        } catch (error) {
+            console.error("Failed to decode stored image:", error);
+            container.classList.add('hidden');
+        } finally {
+            loading?.classList.add('hidden');
+        }
+    },
+
+    async saveMeasurements(measurements) {
+        const entry = this.state.currentResult;
+        if (!entry) return;
+
+        entry.measurements = measurements.map(m => ({
+            type: m.type,
+            points: m.points.map(p => ({ x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10 }))
+        }));
+
+        try {
+            await this.saveState([entry]);
+        } catch (error) {
+            console.error("Failed to save measurements:", error);
+            this.showToast('Could not save measurements', 'error');
+        }
+    },
+
+    // ========== ACTION BUTTONS ==========
+    printLabels() {
+        const entry = this.state.currentResult;
+        if (!entry) {
+            this.showToast("No result to print", "warning");
+            return;
+        }
+        
+        this.showToast("Preparing labels for printing...", "info");
+        
+        const template = ReportTemplates.getActive();
+        const context = this.buildReportContext(entry, template);
+        const esc = (value) => this.escapeHtml(value);
+        const logo = template.logo ?
+            `<img src="${template.logo.dataUrl}" alt="" style="max-height: 60px; max-width: 180px;">` : '';
+
+        // Create printable content
+        const printContent = `
+            <div style="padding: 20px; font-family: Arial;">
+                <div style="display: flex; align-items: center; gap: 16px;">
+                    ${logo}
+                    <div>
+                        <h2 style="margin: 0;">${esc(template.facility.name)}</h2>
+                        <small>${esc([template.facility.address, template.facility.contact].filter(Boolean).join(' · '))}</small>
+                    </div>
+                </div>
+                <hr>
+                ${this.renderLabelHtml(ReportTemplates.fill(template.label, context))}
+            </div>
+        `;
+        
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(printContent);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        printWindow.close();
+        
+        this.audit('print', entry, { template: template.name });
+        this.showToast("Labels sent to printer", "success");
+    },
+
+    /**
+     * Turns a filled label template into HTML: "Key: value" lines get a
+     * bold key, "- " lines become a list and blank lines a divider.
+     */
+    renderLabelHtml(text) {
+        const esc = (value) => this.escapeHtml(value);
+        let html = '';
+        let listOpen = false;
+
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            const isItem = line.startsWith('- ');
+            if (listOpen && !isItem) {
+                html += '</ul>';
+                listOpen = false;
+            }
+
+            if (isItem) {
+                if (!listOpen) html += '<ul>';
+                listOpen = true;
+                html += `<li>${esc(line.slice(2))}</li>`;
+            } else if (!line) {
+                html += '<hr>';
+            } else {
+                const match = /^([^:]{1,40}):\s*(.*)$/.exec(line);
+                html += match ?
+                    `<p><strong>${esc(match[1])}:</strong> ${esc(match[2])}</p>` :
+                    `<p>${esc(line)}</p>`;
+            }
+        });
+
+        return listOpen ? `${html}</ul>` : html;
+    },
+
+    async downloadReport() {
+        const entry = this.state.currentResult;
+        if (!entry) {
+            this.showToast("No report to download", "warning");
+            return;
+        }
+
+        if (typeof PdfReport === 'undefined') {
+            this.showToast("PDF export unavailable, downloading text report", "warning");
+            this.downloadTextReport();
+            return;
+        }
+
+        this.showToast("Generating PDF report...", "info");
+
+        try {
+            const template = ReportTemplates.getActive();
+            const context = this.buildReportContext(entry, template);
+            const blob = PdfReport.build({
+                entry,
+                template,
+                logo: ReportTemplates.logoImage(template),
+                image: await this.captureReportImage(entry),
+                findings: this.getReportFindings(entry),
+                reviewStatus: context.review.status,
+                measurements: this.describeReportMeasurements(),
+                clinician: context.clinician,
+                modelLabel: context.study.model,
+                disclaimer: context.disclaimer
+            });
+
+            this.saveFile(blob, `MedAI_Report_${entry.studyId}.pdf`);
+            this.audit('download', entry, { format: 'pdf', template: template.name });
+            this.showToast("Report downloaded successfully", "success");
+        } catch (error) {
+            console.error("PDF generation failed:", error);
+            this.showToast("Could not generate PDF report", "error");
+        }
+    },
+
+    /**
+     * Renders the analyzed image as shown in the viewer (window/level,
+     * overlays, measurements) to JPEG bytes for the PDF. Returns null when
+     * the result has no stored image.
+     */
+    async captureReportImage(entry) {
+        if (!this.viewer?.bitmap || this.state.currentResult !== entry) return null;
+
+        const canvas = this.viewer.exportCanvas();
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+        if (!blob) return null;
+
+        return {
+            bytes: new Uint8Array(await blob.arrayBuffer()),
+            width: canvas.width,
+            height: canvas.height
+        };
+    },
+
+    describeReportMeasurements() {
+        if (!this.viewer?.bitmap) return [];
+
+        return this.viewer.measurements.map((m, i) =>
+            `${m.type === 'angle' ? 'Angle' : 'Length'} ${i + 1}: ${this.viewer.describeMeasurement(m)}`
+        );
+    },
+
+    downloadTextReport() {
+        const entry = this.state.currentResult;
+        if (!entry) {
+            this.showToast("No report to download", "warning");
+            return;
+        }
+        
+        const template = ReportTemplates.getActive();
+        const reportContent = ReportTemplates.fill(template.text, this.buildReportContext(entry, template));
+        
+        const blob = new Blob([reportContent], { type: 'text/plain' });
+        this.saveFile(blob, `MedAI_Report_${entry.studyId}.txt`);
+        
+        this.audit('download', entry, { format: 'txt', template: template.name });
+        this.showToast("Text report downloaded", "success");
+    },
+
+    saveFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        // Revoking synchronously can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    shareReport() {
+        const entry = this.state.currentResult;
+        if (!entry) {
+            this.showToast("No report to share", "warning");
+            return;
+        }
+        
+        const template = ReportTemplates.getActive();
+        const shareText = ReportTemplates.fill(template.share, this.buildReportContext(entry, template));
+
+        if (navigator.share) {
+            navigator.share({
+                title: `${template.facility.name} - ${template.title}`,
+                text: shareText,
+                url: window.location.href
+            })
+            .then(() => {
+                this.audit('share', entry, { method: 'share-sheet' });
+                this.showToast("Report shared", "success");
+            })
+            .catch((error) => {
+                console.log('Share cancelled:', error);
+                this.fallbackShare(shareText, entry);
+            });
+        } else {
+            this.fallbackShare(shareText, entry);
+        }
+    },
+
+    fallbackShare(reportText, entry) {
+        // Copy to clipboard as fallback
+        navigator.clipboard.writeText(reportText).then(() => {
+            this.audit('share', entry, { method: 'clipboard' });
+            this.showToast("Report copied to clipboard", "success");
+        }).catch(() => {
+            this.showToast("Unable to share report", "error");
+        });
+    },
+
+    async deleteScan() {
+        const entry = this.state.currentResult;
+        if (!entry || !this.requirePermission('history.delete', 'delete scans')) return;
+        if (!window.confirm(`Delete study ${entry.studyId || ''} and its image from this device? This cannot be undone.`)) return;
+
+        try {
+            await HistoryStore.remove(entry.id);
+        } catch (error) {
+            console.error("Failed to delete scan:", error);
+            this.showToast("Could not delete scan", "error");
+            return;
+        }
+
+        // Logged after the delete succeeds; the event keeps the identifiers
+        this.audit('delete', entry, { title: entry.title, type: entry.type });
+
+        const { timeline } = this.state;
+        this.state.history = this.state.history.filter(h => h.id !== entry.id);
+        this.state.compareSelection = this.state.compareSelection.filter(id => id !== entry.id);
+        timeline.entries = timeline.entries.filter(h => h.id !== entry.id);
+        timeline.selected = timeline.selected.filter(id => id !== entry.id);
+        this.state.currentResult = null;
+
+        this.toggleResults(false);
+        await this.refreshHistoryStats().catch(error => console.error("Failed to refresh history stats:", error));
+        this.updateAnalytics();
+        this.renderHistory();
+        this.showToast("Scan deleted", "success");
+    },
+
+    /**
+     * Values for template placeholders. Missing patient and study fields
+     * render as "—" so labels never show a bare "Key:".
+     */
+    buildReportContext(entry, template) {
+        const user = this.state.user || {};
+        const patient = entry.patient || {};
+        const findings = this.getReportFindings(entry);
+        const dash = (value) => (value === null || value === undefined || value === '' ? '—' : value);
+
+        const context = {
+            date: new Date().toLocaleString(),
+            report: { title: template.title },
+            facility: { ...template.facility },
+            patient: {
+                name: patient.name || 'Not recorded',
+                id: dash(patient.id),
+                mrn: dash(patient.mrn),
+                age: dash(patient.age),
+                sex: dash(patient.sex)
+            },
+            study: {
+                id: dash(entry.studyId),
+                accession: dash(entry.accessionNumber),
+                title: entry.title,
+                modality: entry.type.toUpperCase(),
+                date: entry.studyDate || new Date(entry.timestamp).toLocaleString(),
+                analyzedAt: this.formatAnalyzedAt(entry),
+                confidence: `${entry.confidence}%`,
+                model: this.formatModel(entry)
+            },
+            clinician: {
+                name: user.name || 'Unknown',
+                role: user.role ? user.role.charAt(0).toUpperCase() + user.role.slice(1) : '',
+                email: user.email || ''
+            },
+            review: {
+                status: this.CONFIG.REVIEW_STATUSES[this.getReviewStatus(entry)] || '—',
+                by: entry.review?.reviewer.name || '—',
+                at: entry.review ? new Date(entry.review.reviewedAt).toLocaleString() : '—',
+                impression: entry.review?.impression || '—'
+            },
+            findings: findings.length ? findings.map(f => `- ${f}`).join('\n') : 'No findings available'
+        };
+
+        // The disclaimer may itself use placeholders
+        context.disclaimer = ReportTemplates.fill(template.disclaimer, context);
+        return context;
+    },
+
+    // ========== AUDIT TRAIL ==========
+    // Fire-and-forget: an audit failure must never block the clinical action
+    audit(action, entry = null, details = {}) {
+        if (typeof AuditLog === 'undefined') return;
+
+        AuditLog.record(action, entry, details)
+            .then(() => this.scheduleAuditUpload())
+            .catch(error => console.error("Failed to write audit event:", error));
+    },
+
+    scheduleAuditUpload() {
+        clearTimeout(this.auditUploadTimer);
+        this.auditUploadTimer = setTimeout(() => this.uploadAuditLog(), this.CONFIG.AUDIT_UPLOAD_DELAY);
+    },
+
+    async uploadAuditLog() {
+        const token = window.MedAI?.getToken?.();
+        if (typeof AuditLog === 'undefined' || !navigator.onLine || !token || this.CONFIG.DEMO_MODE) return;
+
+        try {
+            await AuditLog.upload({ endpoint: `${this.CONFIG.API_BASE}${this.CONFIG.AUDIT_ENDPOINT}`, token });
+        } catch (error) {
+            // Events stay queued locally and go with the next upload
+            console.warn("Audit upload failed:", error);
+        }
+
+        if (!this.dom.audit.dialog?.classList.contains('hidden')) this.renderAuditSync();
+    },
+
+    openAuditDialog() {
+        const { dialog, action } = this.dom.audit;
+        if (!dialog || typeof AuditLog === 'undefined') return;
+        if (!this.requirePermission('audit.view', 'view the audit log')) return;
+
+        if (action.options.length === 1) {
+            action.insertAdjacentHTML('beforeend', Object.entries(AuditLog.ACTIONS)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join(''));
+        }
+
+        dialog.classList.remove('hidden');
+        this.loadAuditEvents();
+    },
+
+    closeAuditDialog() {
+        this.dom.audit.dialog?.classList.add('hidden');
+        this.state.audit.events = [];
+        this.state.audit.patients.clear();
+    },
+
+    async loadAuditEvents(append = false) {
+        const { action, search, loadMore } = this.dom.audit;
+        const audit = this.state.audit;
+        const limit = this.CONFIG.AUDIT_PAGE_SIZE;
+
+        try {
+            const page = await AuditLog.query({
+                action: action.value || null,
+                search: search.value,
+                offset: append ? audit.events.length : 0,
+                limit
+            });
+            audit.events = append ? [...audit.events, ...page] : page;
+            audit.hasMore = page.length === limit;
+            await this.resolveAuditPatients(page);
+        } catch (error) {
+            console.error("Failed to load audit log:", error);
+            this.showToast("Could not load audit log", "error");
+            return;
+        }
+
+        loadMore.classList.toggle('hidden', !audit.hasMore);
+        this.renderAuditRows();
+        this.renderAuditSync();
+    },
+
+    // Events only carry a patient reference; hashing the patients stored
+    // on this device (readable while unlocked) turns it back into an ID
+    async resolveAuditPatients(events) {
+        const { patients } = this.state.audit;
+        if (patients.size || !events.some(event => event.patientRef)) return;
+
+        const known = await HistoryStore.recentPatients(Infinity).catch(() => []);
+        await Promise.all(known.map(async (patient) => {
+            patients.set(await AuditLog.reference(patient.id), patient.id);
+        }));
+    },
+
+    renderAuditRows() {
+        const { rows } = this.dom.audit;
+        const esc = (value) => this.escapeHtml(value ?? '');
+        const { events } = this.state.audit;
+
+        if (!events.length) {
+            rows.innerHTML = '<tr><td colspan="6" class="audit-empty">No audit events match.</td></tr>';
+            return;
+        }
+
+        rows.innerHTML = events.map(event => `
+            <tr>
+                <td>${new Date(event.timestamp).toLocaleString()}</td>
+                <td>${esc(event.user?.name || 'Unknown')}${event.user?.role ? `<br><small>${esc(event.user.role)}</small>` : ''}</td>
+                <td><span class="audit-action ${esc(event.action)}">${esc(AuditLog.ACTIONS[event.action] || event.action)}</span></td>
+                <td class="audit-study">${esc(event.studyId || '—')}</td>
+                <td>${esc(this.state.audit.patients.get(event.patientRef) || '—')}</td>
+                <td class="audit-details">${esc(this.formatAuditDetails(event.details))}</td>
+            </tr>
+        `).join('');
+    },
+
+    formatAuditDetails(details = {}) {
+        return Object.entries(details).map(([key, value]) => `${key}: ${value}`).join(', ');
+    },
+
+    async renderAuditSync() {
+        const { sync } = this.dom.audit;
+
+        try {
+            const [total, pending] = await Promise.all([AuditLog.count(), AuditLog.pendingCount()]);
+            sync.textContent = pending ?
+                `${total} events recorded · ${pending} waiting to upload${navigator.onLine ? '' : ' (offline)'}` :
+                `${total} events recorded · all uploaded`;
+        } catch (error) {
+            console.error("Failed to read audit sync state:", error);
+        }
+    },
+
+    async exportAuditLog(format) {
+        try {
+            const events = await AuditLog.getAll();
+            const stamp = new Date().toISOString().slice(0, 10);
+            const blob = format === 'csv' ?
+                new Blob([AuditLog.toCSV(events)], { type: 'text/csv' }) :
+                new Blob([AuditLog.toJSON(events)], { type: 'application/json' });
+
+            this.saveFile(blob, `MedAI_Audit_${stamp}.${format}`);
+            this.audit('export', null, { format, events: events.length });
+            this.showToast(`Exported ${events.length} audit events`, "success");
+        } catch (error) {
+            console.error("Audit export failed:", error);
+            this.showToast("Could not export audit log", "error");
+        }
+    },
+
+    // ========== REPORT TEMPLATES ==========
+    openTemplateDialog() {
+        const { dialog, sections, placeholders } = this.dom.templates;
+        if (!dialog || !this.requirePermission('templates.manage', 'manage report templates')) return;
+
+        if (!sections.childElementCount) {
+            sections.innerHTML = Object.entries(ReportTemplates.SECTIONS).map(([key, label]) => `
+                <label class="template-section">
+                    <input type="checkbox" data-section="${key}"> ${label}
+                </label>
+            `).join('');
+            placeholders.innerHTML = Object.entries(ReportTemplates.PLACEHOLDERS).map(([key, label]) => `
+                <li>
+                    <button type="button" data-placeholder="${key}"><code>{{${key}}}</code></button>
+                    <span>${label}</span>
+                </li>
+            `).join('');
+        }
+
+        this.editTemplate(ReportTemplates.getActive().id);
+        dialog.classList.remove('hidden');
+        this.dom.templates.name.focus();
+    },
+
+    closeTemplateDialog() {
+        this.state.templateDraft = null;
+        this.state.templateField = null;
+        this.dom.templates.dialog?.classList.add('hidden');
+    },
+
+    // Loads a stored template (or the unsaved draft passed in) into the form
+    editTemplate(id, draft = null) {
+        const dom = this.dom.templates;
+        const stored = ReportTemplates.list();
+        const template = draft || stored.find(t => t.id === id);
+        this.state.templateDraft = { ...template };
+
+        const options = draft ? [...stored, draft] : stored;
+        dom.select.innerHTML = options.map(t => `
+            <option value="${this.escapeHtml(t.id)}">${this.escapeHtml(t.name)}${t.id === draft?.id ? ' (unsaved)' : ''}</option>
+        `).join('');
+        dom.select.value = template.id;
+        dom.deleteBtn.disabled = !draft && stored.length <= 1;
+
+        dom.name.value = template.name;
+        dom.facility.value = template.facility.name;
+        dom.address.value = template.facility.address;
+        dom.contact.value = template.facility.contact;
+        dom.title.value = template.title;
+        dom.color.value = template.headerColor;
+        dom.disclaimer.value = template.disclaimer;
+        dom.label.value = template.label;
+        dom.share.value = template.share;
+        dom.text.value = template.text;
+        dom.sections.querySelectorAll('[data-section]').forEach(input => {
+            input.checked = template.sections[input.dataset.section] !== false;
+        });
+        dom.logoInput.value = '';
+        dom.error.classList.add('hidden');
+        this.setTemplateLogo(template.logo);
+    },
+
+    newTemplate() {
+        this.editTemplate(null, ReportTemplates.create({ name: 'New template' }));
+        this.dom.templates.name.select();
+    },
+
+    deleteTemplate() {
+        const draft = this.state.templateDraft;
+        const isStored = ReportTemplates.list().some(t => t.id === draft.id);
+
+        if (!isStored) {
+            this.editTemplate(ReportTemplates.getActive().id);
+            return;
+        }
+        if (!window.confirm(`Delete the "${draft.name}" report template?`)) return;
+
+        try {
+            const { activeId } = ReportTemplates.remove(draft.id);
+            this.editTemplate(activeId);
+            this.showToast("Template deleted", "success");
+        } catch (error) {
+            this.showToast(error.message || "Could not delete template", "error");
+        }
+    },
+
+    async loadTemplateLogo(file) {
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            this.showToast("Logo must be an image file", "warning");
+            return;
+        }
+
+        try {
+            // Stored as a small JPEG on white so the PDF writer can embed it
+            const bitmap = await createImageBitmap(file);
+            const { width: maxWidth, height: maxHeight } = this.CONFIG.LOGO_MAX_SIZE;
+            const scale = Math.min(1, maxWidth / bitmap.width, maxHeight / bitmap.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close?.();
+
+            this.setTemplateLogo({
+                dataUrl: canvas.toDataURL('image/jpeg', 0.9),
+                width: canvas.width,
+                height: canvas.height
+            });
+        } catch (error) {
+            console.error("Failed to read logo:", error);
+            this.showToast("Could not read logo image", "error");
+        }
+    },
+
+    setTemplateLogo(logo) {
+        const { logoPreview, logoRemove, logoInput } = this.dom.templates;
+        if (this.state.templateDraft) this.state.templateDraft.logo = logo;
+
+        logoPreview.classList.toggle('hidden', !logo);
+        logoRemove.classList.toggle('hidden', !logo);
+        if (logo) logoPreview.src = logo.dataUrl;
+        else {
+            logoPreview.removeAttribute('src');
+            logoInput.value = '';
+        }
+    },
+
+    insertPlaceholder(key) {
+        const field = this.state.templateField || this.dom.templates.text;
+        const token = `{{${key}}}`;
+        const start = field.selectionStart ?? field.value.length;
+        const end = field.selectionEnd ?? start;
+
+        field.value = field.value.slice(0, start) + token + field.value.slice(end);
+        field.focus();
+        field.setSelectionRange(start + token.length, start + token.length);
+    },
+
+    submitTemplateForm(e) {
+        e.preventDefault();
+        const dom = this.dom.templates;
+        const name = dom.name.value.trim();
+        const facility = dom.facility.value.trim();
+
+        if (!name || !facility) {
+            dom.error.textContent = 'Template name and facility name are required.';
+            dom.error.classList.remove('hidden');
+            return;
+        }
+
+        const sections = {};
+        dom.sections.querySelectorAll('[data-section]').forEach(input => {
+            sections[input.dataset.section] = input.checked;
+        });
+
+        try {
+            const saved = ReportTemplates.save({
+                ...this.state.templateDraft,
+                name,
+                facility: { name: facility, address: dom.address.value.trim(), contact: dom.contact.value.trim() },
+                title: dom.title.value.trim() || ReportTemplates.DEFAULTS.title,
+                headerColor: dom.color.value,
+                sections,
+                disclaimer: dom.disclaimer.value,
+                label: dom.label.value,
+                share: dom.share.value,
+                text: dom.text.value
+            });
+
+            this.closeTemplateDialog();
+            this.showToast(`Using report template: ${saved.name}`, "success");
+        } catch (error) {
+            // localStorage quota is the realistic failure, usually a large logo
+            console.error("Failed to save template:", error);
+            dom.error.textContent = 'Could not save the template. Try a smaller logo image.';
+            dom.error.classList.remove('hidden');
+        }
+    },
+
+    // ========== SESSION EXPIRY ==========
+    showSessionWarning({ expiresAt }) {
+        const { banner, text } = this.dom.session;
+        if (!banner) return;
+
+        const tick = () => {
+            const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+            text.textContent = `Your session expires in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.`;
+        };
+
+        tick();
+        clearInterval(this.sessionCountdown);
+        this.sessionCountdown = setInterval(tick, 1000);
+        banner.classList.remove('hidden');
+    },
+
+    hideSessionWarning() {
+        clearInterval(this.sessionCountdown);
+        this.dom.session.banner?.classList.add('hidden');
+    },
+
+    async extendSession() {
+        const { extendBtn } = this.dom.session;
+        extendBtn.disabled = true;
+
+        // Success fires an auth change, which hides the banner
+        const extended = await window.MedAI?.refreshSession?.();
+        extendBtn.disabled = false;
+
+        if (extended) {
+            this.showToast("Session extended", "success");
+        } else {
+            this.showToast("Could not extend your session. Check your connection.", "warning");
+        }
+    },
+
+    handleSessionExpired(reason = 'expired') {
+        this.hideSessionWarning();
+        this.stopCamera();
+        this.showToast(reason === 'revoked' ?
+            "This device was signed out from your account settings. Please sign in again." :
+            "Your session has expired. Please sign in again.", "warning", 4000);
+
+        sessionStorage.setItem('redirectAfterLogin', window.location.pathname);
+        setTimeout(() => {
+            window.location.href = 'login.html';
+        }, 2500);
+    },
+
+    // ========== APP LOCK ==========
+    async setupAppLock() {
+        if (typeof AppLock === 'undefined') return;
+
+        try {
+            this.state.lock.settings = await AppLock.getSettings();
+        } catch (error) {
+            console.error("Failed to read app lock settings:", error);
+            return;
+        }
+
+        await this.unlockPatientData();
+
+        const markActive = () => { this.state.lock.lastActivity = Date.now(); };
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, markActive, { capture: true, passive: true });
+        });
+
+        // Timers are throttled in background tabs; check again on return
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.checkIdleLock();
+        });
+        this.lockTimer = setInterval(() => this.checkIdleLock(), this.CONFIG.LOCK_CHECK_INTERVAL);
+    },
+
+    // The data keys are only held in memory, so every page load asks for
+    // the PIN; the first sign-in on a device has to choose one
+    unlockPatientData() {
+        if (SecureStore.isUnlocked()) return Promise.resolve();
+
+        this.showLoadingOverlay(false);
+        return new Promise((resolve) => {
+            this.state.lock.onUnlock = () => {
+                this.state.lock.onUnlock = null;
+                this.showLoadingOverlay(true);
+                resolve();
+            };
+
+            if (AppLock.isConfigured(this.state.lock.settings)) {
+                this.lockApp();
+            } else {
+                this.openLockSettings({ required: true });
+            }
+        });
+    },
+
+    checkIdleLock() {
+        const { settings, locked, lastActivity } = this.state.lock;
+        if (locked || !AppLock.isConfigured(settings) || !settings.timeoutMinutes) return;
+
+        if (Date.now() - lastActivity >= settings.timeoutMinutes * 60000) this.lockApp();
+    },
+
+    lockApp() {
+        const lock = this.state.lock;
+        if (lock.locked || typeof AppLock === 'undefined') return;
+
+        if (!AppLock.isConfigured(lock.settings)) {
+            this.showToast("Set a PIN to lock the dashboard", "info");
+            this.openLockSettings();
+            return;
+        }
+
+        lock.locked = true;
+        lock.resumeCamera = lock.resumeCamera || Boolean(this.state.stream);
+        this.stopCamera();
+        this.closeLockSettings();
+        this.closeUserProfile();
+        this.setAppInert(true);
+
+        const dom = this.dom.lock;
+        dom.screenUser.textContent = this.state.user ? `Signed in as ${this.state.user.name}` : '';
+        dom.screenPin.value = '';
+        dom.screenError.classList.add('hidden');
+        // Device unlock can't unwrap the data keys, so not after a reload
+        dom.deviceBtn.classList.toggle('hidden', !lock.settings.credentialId || !SecureStore.isUnlocked());
+        dom.screen.classList.remove('hidden');
+        dom.screenPin.focus();
+    },
+
+    unlockApp() {
+        const lock = this.state.lock;
+        lock.locked = false;
+        lock.lastActivity = Date.now();
+        lock.settings = { ...lock.settings, failures: 0 };
+
+        this.dom.lock.screen.classList.add('hidden');
+        this.setAppInert(false);
+
+        if (lock.resumeCamera) {
+            lock.resumeCamera = false;
+            this.startCamera().catch(error => console.error("Camera start failed:", error));
+        }
+        this.showToast("Unlocked", "success");
+        lock.onUnlock?.();
+    },
+
+    // Keeps focus and clicks out of the dashboard behind the lock screen
+    setAppInert(inert) {
+        const keep = [this.dom.lock.screen, this.dom.notification];
+        Array.from(document.body.children).forEach(el => {
+            if (!keep.includes(el)) el.inert = inert;
+        });
+    },
+
+    showLockError(message) {
+        const { screenError } = this.dom.lock;
+        screenError.textContent = message;
+        screenError.classList.remove('hidden');
+    },
+
+    async unlockWithPin(e) {
+        e.preventDefault();
+        const { screenPin } = this.dom.lock;
+        if (!screenPin.value) return;
+
+        let result;
+        try {
+            result = await AppLock.verifyPin(screenPin.value);
+        } catch (error) {
+            // NO_PIN / NO_KEY mean the lock settings were wiped by a sign-out elsewhere
+            console.error("PIN check failed:", error);
+            if (error.code === 'NO_PIN' || error.code === 'NO_KEY') this.logout({ confirmed: true });
+            else this.showLockError("Could not check the PIN. Try again.");
+            return;
+        } finally {
+            screenPin.value = '';
+        }
+
+        if (result.valid) {
+            this.unlockApp();
+            return;
+        }
+
+        const remaining = this.CONFIG.LOCK_MAX_ATTEMPTS - result.failures;
+        if (remaining <= 0) {
+            this.showLockError("Too many incorrect PINs. Signing out...");
+            this.logout({ forced: true });
+            return;
+        }
+
+        this.showLockError(`Incorrect PIN. ${remaining} attempt${remaining > 1 ? 's' : ''} left before sign-out.`);
+        screenPin.focus();
+    },
+
+    async unlockWithDevice() {
+        try {
+            await AppLock.verifyAuthenticator();
+            this.unlockApp();
+        } catch (error) {
+            // NotAllowedError covers both a cancelled prompt and a failed check
+            console.warn("Device unlock failed:", error);
+            this.showLockError("Device unlock didn't complete. Enter your PIN instead.");
+        }
+    },
+
+    // `required`: patient data can't be stored until a PIN is chosen, so
+    // the dialog can't be dismissed
+    async openLockSettings({ required = false } = {}) {
+        const dom = this.dom.lock;
+        if (!dom.dialog || typeof AppLock === 'undefined') return;
+
+        const settings = this.state.lock.settings;
+        const configured = AppLock.isConfigured(settings);
+        [dom.closeBtn, dom.cancelBtn].forEach(btn => btn?.classList.toggle('hidden', required));
+
+        if (!dom.timeout.options.length) {
+            dom.timeout.innerHTML = this.CONFIG.LOCK_TIMEOUTS.map(minutes => `
+                <option value="${minutes}">${minutes ? `After ${minutes} minute${minutes > 1 ? 's' : ''}` : 'Never (lock manually)'}</option>
+            `).join('');
+        }
+
+        dom.intro.textContent = (required ? 'Choose a PIN to protect patient data on this device. ' : '') +
+            'Lock the dashboard between patients. Unlocking takes this PIN instead of a full sign-in, and the dashboard ' +
+            `asks for it each time it opens; after ${this.CONFIG.LOCK_MAX_ATTEMPTS} wrong attempts you are signed out.`;
+        dom.pinLabel.textContent = configured ? 'New PIN (leave blank to keep)' : 'PIN (6-12 digits) *';
+        dom.pin.value = '';
+        dom.pinConfirm.value = '';
+        dom.timeout.value = String(settings?.timeoutMinutes ?? AppLock.DEFAULT_TIMEOUT);
+        dom.device.checked = Boolean(settings?.credentialId);
+        dom.error.classList.add('hidden');
+
+        const available = await AppLock.platformAuthenticatorAvailable();
+        dom.device.disabled = !available;
+        dom.device.parentElement.classList.toggle('disabled', !available);
+        dom.deviceLabel.textContent = available ?
+            "Also unlock with this device's fingerprint or face" :
+            'Fingerprint / face unlock is not available on this device';
+
+        dom.dialog.classList.remove('hidden');
+        dom.pin.focus();
+    },
+
+    closeLockSettings() {
+        this.dom.lock.dialog?.classList.add('hidden');
+    },
+
+    async submitLockSettings(e) {
+        e.preventDefault();
+        const dom = this.dom.lock;
+        const pin = dom.pin.value.trim();
+        const showError = (message) => {
+            dom.error.textContent = message;
+            dom.error.classList.remove('hidden');
+        };
+
+        if (pin || !AppLock.isConfigured(this.state.lock.settings)) {
+            if (!AppLock.PIN_PATTERN.test(pin)) return showError('PIN must be 6 to 12 digits.');
+            if (pin !== dom.pinConfirm.value.trim()) return showError('PINs do not match.');
+        }
+
+        try {
+            // Register first: the browser only shows the prompt straight after a click
+            const { settings } = this.state.lock;
+            if (dom.device.checked && !settings?.credentialId) {
+                await AppLock.registerAuthenticator(this.state.user);
+            } else if (!dom.device.checked && settings?.credentialId) {
+                await AppLock.removeAuthenticator();
+            }
+
+            if (pin) await AppLock.setPin(pin);
+            this.state.lock.settings = await AppLock.update({ timeoutMinutes: Number(dom.timeout.value) });
+        } catch (error) {
+            console.error("Failed to save app lock settings:", error);
+            if (error.code === 'KEY_EXISTS') {
+                // Another tab chose a PIN first; unlock with that one
+                this.state.lock.settings = await AppLock.getSettings();
+                this.closeLockSettings();
+                this.lockApp();
+                return;
+            }
+            if (error.name === 'NotAllowedError') {
+                dom.device.checked = false;
+                return showError('Fingerprint / face setup was cancelled. Nothing was saved.');
+            }
+            return showError(error.message || 'Could not save app lock settings.');
+        }
+
+        this.state.lock.lastActivity = Date.now();
+        this.closeLockSettings();
+        this.showToast(pin ? "PIN saved. Use Lock to lock the dashboard." : "App lock settings saved", "success");
+        this.state.lock.onUnlock?.();
+    },
+
+    // ========== PERMISSIONS ==========
+    // Permissions come from the auth module's role model
+    can(permission) {
+        return Boolean(window.MedAI?.can?.(permission));
+    },
+
+    // Guards an action, telling the user why it isn't available
+    requirePermission(permission, action) {
+        if (this.can(permission)) return true;
+        this.showToast(`Your role can't ${action}`, "warning");
+        return false;
+    },
+
+    // Hides controls marked data-permission that the signed-in role can't use
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('hidden', !this.can(el.dataset.permission));
         });
+
+        if (this.state.activeTab === 'analytics' && !this.can('analytics.view')) {
+            this.switchTab('scanner');
+        }
     },
 
-    // ========== HISTORY FUNCTIONS ==========
-    renderHistory() {
-        if (!this.dom.historyList) return;
+    // ========== USER PROFILE ==========
+    showUserProfile() {
+        const dom = this.dom.profile;
+        const user = this.state.user;
+        if (!dom.dialog || !user) {
+            this.showToast(user ? user.name : "User profile", "info");
+            return;
+        }
 
-        let filtered = this.filterHistory(this.state.searchTerm);
-        filtered = this.applyFilters(filtered);
-        
-        if (filtered.length === 0) {
-            this.dom.historyList.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">📋</div>
-                    <p>No scans found matching your criteria.</p>
-                    <p class="empty-state-sub">Try adjusting your filters or search term</p>
-                </div>
-            `;
+        const prefs = this.getUserPreferences();
+        const roles = window.MedAI?.roles || {};
+        if (!dom.role.options.length) {
+            dom.role.innerHTML = Object.entries(roles).map(([value, label]) =>
+                `<option value="${value}">${this.escapeHtml(label)}</option>`).join('');
+        }
+
+        this.state.avatarDraft = undefined;
+        this.renderAvatar(dom.avatar, user);
+        dom.avatarRemove.classList.toggle('hidden', !user.avatarUrl);
+        dom.email.textContent = user.email || '';
+        dom.name.value = user.name || '';
+        dom.role.value = roles[user.role] ? user.role : 'user';
+        dom.facility.value = user.facility || '';
+        dom.license.value = user.licenseNumber || '';
+        dom.modality.value = prefs.defaultModality;
+        dom.language.value = prefs.language;
+        dom.notifyEmail.checked = prefs.notifications.reportSignedOff;
+        dom.notifyReview.checked = prefs.notifications.reviewRequests;
+        dom.notifyDesktop.checked = prefs.notifications.desktop;
+        dom.error.classList.add('hidden');
+        this.resetPasswordForm();
+
+        this.resetMfaPanels();
+        dom.dialog.classList.remove('hidden');
+        this.loadMfaFactors();
+        this.loadSessions();
+    },
+
+    closeUserProfile() {
+        this.dom.profile.dialog?.classList.add('hidden');
+        this.state.avatarDraft = undefined;
+        this.resetPasswordForm();
+        this.resetMfaPanels();
+    },
+
+    // Preferences saved on the user, with defaults for accounts that have none
+    getUserPreferences(user = this.state.user) {
+        const prefs = user?.preferences || {};
+        return {
+            defaultModality: this.CONFIG.SCAN_TYPES.includes(prefs.defaultModality) ? prefs.defaultModality : 'xray',
+            language: prefs.language || 'en',
+            notifications: {
+                reportSignedOff: true,
+                reviewRequests: true,
+                desktop: false,
+                ...prefs.notifications
+            }
+        };
+    },
+
+    // Photo if the user has one, otherwise initials
+    renderAvatar(element, user, avatarUrl = user?.avatarUrl) {
+        if (!element) return;
+        element.style.backgroundImage = avatarUrl ? `url("${avatarUrl}")` : '';
+        element.textContent = avatarUrl ? '' : this.getInitials(user?.name);
+    },
+
+    async loadProfileAvatar(file) {
+        const dom = this.dom.profile;
+        dom.avatarInput.value = '';
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            this.showToast("Profile photo must be an image file", "warning");
             return;
         }
 
-        this.dom.historyList.innerHTML = filtered.map(item => this.createHistoryCard(item)).join('');
-        this.attachHistoryCardHandlers();
+        try {
+            // Centre-cropped square, small enough to send with the profile
+            const bitmap = await createImageBitmap(file);
+            const size = this.CONFIG.AVATAR_SIZE;
+            const side = Math.min(bitmap.width, bitmap.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+
+            canvas.getContext('2d').drawImage(bitmap,
+                (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side,
+                0, 0, size, size);
+            bitmap.close?.();
+
+            this.setProfileAvatar(canvas.toDataURL('image/jpeg', 0.85));
+        } catch (error) {
+            console.error("Failed to read profile photo:", error);
+            this.showToast("Could not read that image", "error");
+        }
     },
 
-    createHistoryCard(item) {
-        const confidenceClass = item.confidence >= 85 ? 'confidence-high' : 
-                              item.confidence >= 70 ? 'confidence-medium' : 'confidence-low';
-        
-        return `
-            <div class="history-card" data-id="${item.id}">
-                <div class="history-header">
-                    <span class="history-type">${item.type.toUpperCase()}</span>
-                    <span class="history-date">${item.date}</span>
-                </div>
-                <div class="history-body">
-                    <h4>${this.escapeHtml(item.title)}</h4>
-                    <p class="${confidenceClass}">${item.confidence}% Confidence</p>
-                    <div class="history-confidence">
-                        <div class="confidence-bar ${confidenceClass}" style="width: ${item.confidence}%"></div>
-                    </div>
-                    <button class="history-view-btn" data-id="${item.id}">View Details</button>
-                </div>
-            </div>
-        `;
+    // Shown straight away; saved with the rest of the form
+    setProfileAvatar(dataUrl) {
+        const dom = this.dom.profile;
+        this.state.avatarDraft = dataUrl;
+        this.renderAvatar(dom.avatar, this.state.user, dataUrl);
+        dom.avatarRemove.classList.toggle('hidden', !dataUrl);
     },
 
-    attachHistoryCardHandlers() {
-        this.dom.historyList.querySelectorAll('.history-view-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const id = Number(btn.closest('.history-card').dataset.id);
-                const scan = this.state.history.find(h => h.id === id);
-                if (scan) {
-                    this.renderResults(scan);
-                    this.toggleResults(true);
-                }
-            });
-        });
-        
-        this.dom.historyList.querySelectorAll('.history-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const id = Number(card.dataset.id);
-                const scan = this.state.history.find(h => h.id === id);
-                if (scan) {
-                    this.renderResults(scan);
-                    this.toggleResults(true);
-                }
-            });
-        });
+    async saveProfile(e) {
+        e.preventDefault();
+        const dom = this.dom.profile;
+        const showError = (message) => {
+            dom.error.textContent = message;
+            dom.error.classList.remove('hidden');
+        };
+
+        const name = dom.name.value.trim();
+        if (name.length < 2 || name.length > 50) {
+            showError('Name must be between 2 and 50 characters');
+            return;
+        }
+
+        const notifications = {
+            reportSignedOff: dom.notifyEmail.checked,
+            reviewRequests: dom.notifyReview.checked,
+            desktop: dom.notifyDesktop.checked
+        };
+
+        // Browser notifications need the user's permission first. (The auth
+        // module's toast helper shadows the global name, hence window.)
+        if (notifications.desktop && !this.getUserPreferences().notifications.desktop) {
+            const permission = window.Notification ? await window.Notification.requestPermission() : 'denied';
+            if (permission !== 'granted') {
+                dom.notifyDesktop.checked = false;
+                notifications.desktop = false;
+                this.showToast("Browser notifications are blocked for this site", "warning");
+            }
+        }
+
+        const changes = {
+            name,
+            role: dom.role.value,
+            facility: dom.facility.value.trim(),
+            licenseNumber: dom.license.value.trim(),
+            preferences: {
+                defaultModality: dom.modality.value,
+                language: dom.language.value,
+                notifications
+            }
+        };
+        if (this.state.avatarDraft !== undefined) {
+            changes.avatarUrl = this.state.avatarDraft;
+        }
+
+        const previousModality = this.getUserPreferences().defaultModality;
+        dom.error.classList.add('hidden');
+        dom.saveBtn.disabled = true;
+
+        try {
+            // The auth change event updates the header and permissions
+            const user = await window.MedAI.updateProfile(changes);
+            this.state.user = user;
+            this.state.avatarDraft = undefined;
+
+            const { defaultModality } = this.getUserPreferences(user);
+            if (defaultModality !== previousModality) this.setScanType(defaultModality);
+
+            if (user.role !== changes.role) {
+                this.showToast("Profile saved. Role changes need an administrator's approval.", "info", 4000);
+            } else {
+                this.showToast("Profile saved", "success");
+            }
+        } catch (error) {
+            console.error("Failed to save profile:", error);
+            showError(navigator.onLine ?
+                (error.message || 'Could not save your profile.') :
+                'Connect to the internet to save your profile.');
+        } finally {
+            dom.saveBtn.disabled = false;
+        }
     },
 
-    // ========== RESULTS PANEL ==========
-    toggleResults(show) {
-        if (this.dom.resultsPanel) {
-            this.dom.resultsPanel.classList.toggle('hidden', !show);
-            document.body.style.overflow = show ? 'hidden' : '';
+    resetPasswordForm() {
+        const dom = this.dom.profile;
+        if (!dom.passwordForm) return;
+
+        dom.passwordForm.reset();
+        dom.passwordStrength.textContent = '';
+        dom.passwordStrength.className = 'profile-strength';
+        dom.passwordError.classList.add('hidden');
+    },
+
+    updatePasswordStrength() {
+        const dom = this.dom.profile;
+        const password = dom.passwordNew.value;
+        const strength = password && window.MedAI?.passwordStrength?.(password);
+
+        if (!strength) {
+            dom.passwordStrength.textContent = '';
+            dom.passwordStrength.className = 'profile-strength';
+            return;
         }
+
+        const level = strength.score <= 1 ? 'weak' : strength.score <= 3 ? 'medium' : 'strong';
+        const unmet = strength.rules.find(rule => !rule.met);
+        dom.passwordStrength.textContent = unmet ? `${strength.label} · ${unmet.message}` : strength.label;
+        dom.passwordStrength.className = `profile-strength ${level}`;
     },
 
-    renderResults(data) {
-        this.state.currentResult = data;
-        const { resultElements } = this.dom;
-        
-        // Update confidence circle
-        if (resultElements.confidencePath) {
-            resultElements.confidencePath.style.strokeDasharray = `${data.confidence}, 100`;
+    async changePassword(e) {
+        e.preventDefault();
+        const dom = this.dom.profile;
+        const showError = (message) => {
+            dom.passwordError.textContent = message;
+            dom.passwordError.classList.remove('hidden');
+        };
+
+        const current = dom.passwordCurrent.value;
+        const next = dom.passwordNew.value;
+
+        if (!current) {
+            showError('Enter your current password');
+            return;
         }
-        
-        if (resultElements.confidenceText) {
-            resultElements.confidenceText.textContent = `${data.confidence}%`;
+        const validation = window.MedAI.validatePassword(next);
+        if (!validation.valid) {
+            showError(validation.message);
+            return;
         }
-        
-        if (resultElements.title) {
-            resultElements.title.textContent = data.title;
+        if (next !== dom.passwordConfirm.value) {
+            showError('New passwords do not match');
+            return;
         }
-        
-        if (resultElements.resultsTitle) {
-            resultElements.resultsTitle.textContent = data.title;
+        if (next === current) {
+            showError('Choose a password different from your current one');
+            return;
         }
-        
-        if (resultElements.description) {
-            resultElements.description.textContent = data.description || this.MOCK_DATA.defaultDescription;
+
+        dom.passwordError.classList.add('hidden');
+        dom.passwordSaveBtn.disabled = true;
+
+        try {
+            await window.MedAI.changePassword(current, next);
+            this.resetPasswordForm();
+            this.showToast("Password updated", "success");
+        } catch (error) {
+            console.error("Failed to change password:", error);
+            const messages = {
+                INVALID_PASSWORD: 'Your current password is incorrect',
+                INVALID_CREDENTIALS: 'Your current password is incorrect',
+                PASSWORD_REUSED: "You've used that password before. Choose a new one."
+            };
+            showError(messages[error.code] || error.message || 'Could not update your password.');
+        } finally {
+            dom.passwordSaveBtn.disabled = false;
         }
-        
-        // Update findings
-        if (resultElements.findingsList) {
-            const findings = data.findings || this.MOCK_DATA.defaultFindings;
-            resultElements.findingsList.innerHTML = findings
-                .map(finding => `<li class="finding-item">${finding}</li>`)
-                .join('');
+    },
+
+    // ========== TWO-STEP VERIFICATION ==========
+    // Factors live on the backend; the login page runs the challenge itself
+    async loadMfaFactors() {
+        const dom = this.dom.mfa;
+        dom.status.textContent = 'Loading...';
+        dom.factors.innerHTML = '';
+        dom.actions.classList.add('hidden');
+
+        try {
+            const { factors = [], recoveryCodesRemaining = null } = await window.MedAI.api.mfa.list();
+            this.state.mfa.factors = factors;
+            this.state.mfa.recoveryCodesRemaining = recoveryCodesRemaining;
+        } catch (error) {
+            console.error("Failed to load two-step verification:", error);
+            dom.status.textContent = navigator.onLine ?
+                'Could not load two-step verification settings. Try again later.' :
+                'Connect to the internet to manage two-step verification.';
+            return;
         }
-        
-        // Update medical metadata
-        if (resultElements.medicalMetadata) {
-            resultElements.medicalMetadata.classList.remove('hidden');
-            
-            if (resultElements.studyId) {
-                const studyNum = Math.floor(Math.random() * 1000);
-                resultElements.studyId.textContent = `${this.MOCK_DATA.studyIds[Math.floor(Math.random() * this.MOCK_DATA.studyIds.length)]}-2024-${studyNum.toString().padStart(3, '0')}`;
-            }
-            
-            if (resultElements.modalityType) {
-                resultElements.modalityType.textContent = data.type.toUpperCase();
-            }
-            
-            if (resultElements.aiModel) {
-                resultElements.aiModel.textContent = this.MOCK_DATA.aiModels[Math.floor(Math.random() * this.MOCK_DATA.aiModels.length)];
-            }
+
+        this.renderMfaFactors();
+    },
+
+    renderMfaFactors() {
+        const dom = this.dom.mfa;
+        const { factors, recoveryCodesRemaining } = this.state.mfa;
+        const types = { totp: 'Authenticator app', webauthn: 'Security key / passkey' };
+        const formatDate = (value) => new Date(value).toLocaleDateString();
+
+        if (factors.length) {
+            const remaining = recoveryCodesRemaining === null ? '' :
+                ` · ${recoveryCodesRemaining} recovery code${recoveryCodesRemaining === 1 ? '' : 's'} left`;
+            dom.status.textContent = `On · ${factors.length} method${factors.length > 1 ? 's' : ''}${remaining}`;
+        } else {
+            dom.status.textContent = 'Off. Add an authenticator app or security key so a password alone can\'t open your account.';
         }
+
+        dom.factors.innerHTML = factors.map(factor => `
+            <li class="mfa-factor">
+                <span aria-hidden="true">${factor.type === 'webauthn' ? '🔑' : '📱'}</span>
+                <div class="mfa-factor-info">
+                    <strong>${this.escapeHtml(factor.label || types[factor.type] || factor.type)}</strong>
+                    <small>${this.escapeHtml(types[factor.type] || factor.type)}${factor.createdAt ? ` · added ${formatDate(factor.createdAt)}` : ''}${factor.lastUsedAt ? ` · last used ${formatDate(factor.lastUsedAt)}` : ''}</small>
+                </div>
+                <button type="button" class="btn-outline" data-factor-id="${this.escapeHtml(factor.id)}">Remove</button>
+            </li>
+        `).join('');
+
+        dom.addKey.disabled = !window.MedAI?.webauthn?.isSupported();
+        dom.addKey.title = dom.addKey.disabled ? 'This browser does not support security keys' : '';
+        dom.regenerate.classList.toggle('hidden', !factors.length);
+        dom.actions.classList.remove('hidden');
     },
 
-    // ========== ACTION BUTTONS ==========
-    printLabels() {
-        if (!this.state.currentResult) {
-            this.showToast("No result to print", "warning");
+    resetMfaPanels() {
+        const dom = this.dom.mfa;
+        if (!dom.actions) return;
+
+        this.state.mfa.setup = null;
+        this.state.mfa.recoveryCodes = [];
+        dom.totpSetup.classList.add('hidden');
+        dom.totpCode.value = '';
+        dom.recovery.classList.add('hidden');
+        dom.recoveryCodes.innerHTML = '';
+        dom.error.classList.add('hidden');
+        dom.actions.classList.remove('hidden');
+    },
+
+    showMfaError(message) {
+        this.dom.mfa.error.textContent = message;
+        this.dom.mfa.error.classList.remove('hidden');
+    },
+
+    async startTotpSetup() {
+        const dom = this.dom.mfa;
+        dom.error.classList.add('hidden');
+
+        let setup;
+        try {
+            setup = await window.MedAI.api.mfa.setupTotp();
+        } catch (error) {
+            console.error("Failed to start authenticator setup:", error);
+            this.showMfaError(error.message || 'Could not start authenticator app setup.');
             return;
         }
-        
-        this.showToast("Preparing labels for printing...", "info");
-        
-        // Create printable content
-        const printContent = `
-            <div style="padding: 20px; font-family: Arial;">
-                <h2>Med-AI Diagnostic Labels</h2>
-                <p><strong>Study:</strong> ${this.state.currentResult.title}</p>
-                <p><strong>Type:</strong> ${this.state.currentResult.type.toUpperCase()}</p>
-                <p><strong>Confidence:</strong> ${this.state.currentResult.confidence}%</p>
-                <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
-                <hr>
-                <h3>Findings:</h3>
-                <ul>
-                    ${this.state.currentResult.findings?.map(f => `<li>${f}</li>`).join('') || ''}
-                </ul>
-            </div>
-        `;
-        
-        const printWindow = window.open('', '_blank');
-        printWindow.document.write(printContent);
-        printWindow.document.close();
-        printWindow.focus();
-        printWindow.print();
-        printWindow.close();
-        
-        this.showToast("Labels sent to printer", "success");
+
+        this.state.mfa.setup = setup;
+        // Groups of four are easier to type into a phone
+        dom.totpSecret.textContent = setup.secret.replace(/(.{4})/g, '$1 ').trim();
+        dom.totpLink.href = setup.otpauthUrl || '#';
+        dom.totpLink.classList.toggle('hidden', !setup.otpauthUrl);
+        dom.totpCode.value = '';
+        dom.actions.classList.add('hidden');
+        dom.totpSetup.classList.remove('hidden');
+        dom.totpCode.focus();
     },
 
-    downloadReport() {
-        if (!this.state.currentResult) {
-            this.showToast("No report to download", "warning");
+    async confirmTotpSetup(e) {
+        e.preventDefault();
+        const dom = this.dom.mfa;
+        const code = dom.totpCode.value.replace(/\s/g, '');
+
+        if (!/^\d{6}$/.test(code)) {
+            this.showMfaError('Enter the 6-digit code from your authenticator app.');
             return;
         }
-        
-        this.showToast("Generating PDF report...", "info");
-        
-        // Create report content
-        const reportContent = `
-MED-AI DIAGNOSTIC REPORT
-========================
-Date: ${new Date().toLocaleString()}
-Study ID: ${this.dom.resultElements.studyId?.textContent || 'N/A'}
-Patient/User: ${this.state.user?.name || 'Unknown'}
 
-DIAGNOSIS: ${this.state.currentResult.title}
-Modality: ${this.state.currentResult.type.toUpperCase()}
-AI Confidence: ${this.state.currentResult.confidence}%
+        try {
+            const result = await window.MedAI.api.mfa.confirmTotp(this.state.mfa.setup.setupId, code);
+            await this.completeMfaEnrollment(result, "Authenticator app added");
+        } catch (error) {
+            console.error("Failed to confirm authenticator setup:", error);
+            this.showMfaError(error.code === 'INVALID_MFA_CODE' ?
+                "That code didn't match. Check the time on your phone is correct and enter the newest code." :
+                error.message || 'Could not verify the code.');
+        }
+    },
+
+    async addSecurityKey() {
+        this.dom.mfa.error.classList.add('hidden');
+
+        try {
+            const { publicKey } = await window.MedAI.api.mfa.keyRegistrationOptions();
+            const credential = await window.MedAI.webauthn.createCredential(publicKey);
+            const label = `Security key added ${new Date().toLocaleDateString()}`;
+            const result = await window.MedAI.api.mfa.registerKey(label, credential);
+            await this.completeMfaEnrollment(result, "Security key added");
+        } catch (error) {
+            console.error("Failed to add security key:", error);
+            const messages = {
+                NotAllowedError: 'Security key setup was cancelled or timed out.',
+                InvalidStateError: 'That key is already registered to your account.'
+            };
+            this.showMfaError(messages[error.name] || error.message || 'Could not add the security key.');
+        }
+    },
+
+    // Recovery codes come back with the first factor enrolled
+    async completeMfaEnrollment(result, message) {
+        this.resetMfaPanels();
+        this.showToast(message, "success");
+        await this.loadMfaFactors();
+
+        if (result?.recoveryCodes?.length) {
+            this.showRecoveryCodes(result.recoveryCodes);
+        }
+    },
+
+    async removeMfaFactor(factorId) {
+        const factors = this.state.mfa.factors;
+        const factor = factors.find(f => String(f.id) === String(factorId));
+        if (!factor) return;
+
+        const warning = factors.length === 1 ?
+            'This turns off two-step verification. Your password alone will open your account. Continue?' :
+            `Remove "${factor.label || factor.type}" from your account?`;
+        if (!confirm(warning)) return;
+
+        try {
+            await window.MedAI.api.mfa.remove(factor.id);
+            this.showToast("Verification method removed", "info");
+            await this.loadMfaFactors();
+        } catch (error) {
+            console.error("Failed to remove verification method:", error);
+            this.showMfaError(error.code === 'REAUTH_REQUIRED' ?
+                'For your security, sign out and back in before removing this method.' :
+                error.message || 'Could not remove the verification method.');
+        }
+    },
+
+    async regenerateRecoveryCodes() {
+        if (!confirm('Create new recovery codes? Your current codes will stop working.')) return;
+
+        try {
+            const { recoveryCodes } = await window.MedAI.api.mfa.regenerateRecoveryCodes();
+            this.state.mfa.recoveryCodesRemaining = recoveryCodes.length;
+            this.renderMfaFactors();
+            this.showRecoveryCodes(recoveryCodes);
+        } catch (error) {
+            console.error("Failed to create recovery codes:", error);
+            this.showMfaError(error.message || 'Could not create new recovery codes.');
+        }
+    },
+
+    showRecoveryCodes(codes) {
+        const dom = this.dom.mfa;
+        this.state.mfa.recoveryCodes = codes;
+        dom.recoveryCodes.innerHTML = codes.map(code => `<li>${this.escapeHtml(code)}</li>`).join('');
+        dom.actions.classList.add('hidden');
+        dom.recovery.classList.remove('hidden');
+    },
+
+    downloadRecoveryCodes() {
+        const user = this.state.user;
+        const text = [
+            'MedAI recovery codes',
+            `Account: ${user?.email || ''}`,
+            `Created: ${new Date().toLocaleString()}`,
+            '',
+            'Each code can be used once to sign in without your authenticator.',
+            '',
+            ...this.state.mfa.recoveryCodes
+        ].join('\r\n');
+
+        this.saveFile(new Blob([text], { type: 'text/plain' }), 'MedAI_Recovery_Codes.txt');
+    },
+
+    // ========== ACTIVE SESSIONS ==========
+    async loadSessions() {
+        const dom = this.dom.sessions;
+        if (!dom.list) return;
+
+        dom.status.textContent = 'Loading...';
+        dom.list.innerHTML = '';
+
+        try {
+            const { sessions = [] } = await window.MedAI.api.sessions.list();
+            this.state.sessions = sessions;
+        } catch (error) {
+            console.error("Failed to load sessions:", error);
+            this.state.sessions = [];
+            dom.status.textContent = navigator.onLine ?
+                'Could not load your signed-in devices. Try again later.' :
+                'Connect to the internet to see your signed-in devices.';
+            dom.revokeOthers.classList.add('hidden');
+            return;
+        }
+
+        this.renderSessions();
+    },
+
+    renderSessions() {
+        const dom = this.dom.sessions;
+        const sessions = this.state.sessions;
+        const others = sessions.filter(session => !session.current).length;
 
-CLINICAL FINDINGS:
-${this.state.currentResult.findings?.map(f => `- ${f}`).join('\n') || 'No findings available'}
+        dom.status.textContent = others ?
+            `Signed in on ${sessions.length} devices. Sign out any you don't recognise.` :
+            'Only signed in on this device.';
 
-AI Model: ${this.dom.resultElements.aiModel?.textContent || 'Med-AI v6.0'}
+        // Current device first, then most recently active
+        const sorted = [...sessions].sort((a, b) =>
+            (b.current - a.current) || (new Date(b.lastActiveAt) - new Date(a.lastActiveAt)));
 
-This report was generated by Med-AI Diagnostic System.
-For medical use only. Always consult with a qualified healthcare provider.
-        `;
-        
-        // Create blob and download
-        const blob = new Blob([reportContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `MedAI_Report_${Date.now()}.txt`;
-        a.click();
-        URL.revokeObjectURL(url);
-        
-        this.showToast("Report downloaded successfully", "success");
+        dom.list.innerHTML = sorted.map(session => {
+            const device = [session.browser, session.os].filter(Boolean).join(' on ') || session.device || 'Unknown device';
+            const details = [
+                session.location || session.ip,
+                session.lastActiveAt ? `last active ${new Date(session.lastActiveAt).toLocaleString()}` : ''
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <li class="mfa-factor">
+                    <span aria-hidden="true">${/mobile|android|iphone|ipad/i.test(device) ? '📱' : '💻'}</span>
+                    <div class="mfa-factor-info">
+                        <strong>${this.escapeHtml(device)}${session.current ? '<span class="session-current">This device</span>' : ''}</strong>
+                        <small>${this.escapeHtml(details)}</small>
+                    </div>
+                    ${session.current ? '' : `<button type="button" class="btn-outline" data-session-id="${this.escapeHtml(session.id)}">Sign Out</button>`}
+                </li>
+            `;
+        }).join('');
+
+        dom.revokeOthers.classList.toggle('hidden', !others);
     },
 
-    shareReport() {
-        if (!this.state.currentResult) {
-            this.showToast("No report to share", "warning");
-            return;
-        }
-        
-        if (navigator.share) {
-            navigator.share({
-                title: 'Med-AI Diagnostic Report',
-                text: `${this.state.currentResult.title} - ${this.state.currentResult.confidence}% confidence`,
-                url: window.location.href
-            })
-            .then(() => this.showToast("Report shared", "success"))
-            .catch((error) => {
-                console.log('Share cancelled:', error);
-                this.fallbackShare();
-            });
-        } else {
-            this.fallbackShare();
+    async revokeSession(sessionId) {
+        try {
+            await window.MedAI.api.sessions.revoke(sessionId);
+            this.state.sessions = this.state.sessions.filter(session => String(session.id) !== String(sessionId));
+            this.renderSessions();
+            this.showToast("Device signed out", "success");
+        } catch (error) {
+            console.error("Failed to revoke session:", error);
+            this.showToast(error.message || "Could not sign out that device", "error");
         }
     },
 
-    fallbackShare() {
-        // Copy to clipboard as fallback
-        const reportText = `${this.state.currentResult.title} - ${this.state.currentResult.confidence}% confidence`;
-        navigator.clipboard.writeText(reportText).then(() => {
-            this.showToast("Report copied to clipboard", "success");
-        }).catch(() => {
-            this.showToast("Unable to share report", "error");
-        });
+    async revokeOtherSessions() {
+        if (!confirm('Sign out every other device? They will need to sign in again.')) return;
+
+        try {
+            await window.MedAI.api.sessions.revokeOthers();
+            this.state.sessions = this.state.sessions.filter(session => session.current);
+            this.renderSessions();
+            this.showToast("Other devices signed out", "success");
+        } catch (error) {
+            console.error("Failed to revoke other sessions:", error);
+            this.showToast(error.message || "Could not sign out other devices", "error");
+        }
     },
 
-    // ========== USER PROFILE ==========
-    showUserProfile() {
-        if (this.state.user) {
-            this.showToast(`${this.state.user.name} - ${this.state.user.role || 'Medical Practitioner'}`, "info");
-        } else {
-            this.showToast("User profile", "info");
+    // Ends every session, this one included; other tabs follow via the auth module
+    async signOutEverywhere() {
+        if (!confirm('Sign out on all devices, including this one?')) return;
+        if (!await this.confirmSignOut()) return;
+
+        try {
+            await window.MedAI.api.sessions.revokeAll();
+        } catch (error) {
+            console.error("Failed to revoke all sessions:", error);
+            this.showToast(error.message || "Could not sign out other devices", "error");
+            return;
         }
-        // In a real app, this would open a profile modal
+
+        this.logout({ confirmed: true });
     },
 
     // ========== NOTIFICATION SYSTEM ==========
@@ -942,7 +4308,6 @@ For medical use only. Always consult with a qualified healthcare provider.
         }
         
         // Set content and type
-        toast.textContent = message;
         toast.className = `notification-toast visible ${type}`;
         
         // Add icon based on type
@@ -953,7 +4318,11 @@ For medical use only. Always consult with a qualified healthcare provider.
             info: 'ℹ️'
         };
         
-        toast.innerHTML = `<span class="notification-icon">${icons[type]}</span>${message}`;
+        // Messages can carry server or file text (e.g. DICOM tags): never parse them as HTML
+        const icon = document.createElement('span');
+        icon.className = 'notification-icon';
+        icon.textContent = icons[type];
+        toast.replaceChildren(icon, document.createTextNode(String(message)));
         
         // Auto hide
         this.toastTimeout = setTimeout(() => {
@@ -1096,32 +4465,48 @@ For medical use only. Always consult with a qualified healthcare provider.
     // ========== ANALYSIS FUNCTIONS ==========
     async performAnalysis() {
         if (this.state.isAnalyzing) return;
+        if (!this.resolveScanPatient({}, () => this.performAnalysis())) return;
+
+        // Capture frame
+        const frame = await this.captureFrame();
+        if (!frame && !this.CONFIG.DEMO_MODE) {
+            this.showToast("Camera not ready - nothing to analyze", "warning");
+            return;
+        }
+
+        await this.runAnalysis(frame);
+    },
+
+    /**
+     * Analyzes an image and records it in history. `meta` carries study
+     * fields known before analysis (e.g. from DICOM tags).
+     */
+    async runAnalysis(image, meta = {}) {
+        if (this.state.isAnalyzing) return;
+
+        const patient = this.resolveScanPatient(meta, () => this.runAnalysis(image, meta));
+        if (!patient) return;
+        meta = { ...meta, patient };
+
+        if (!this.CONFIG.DEMO_MODE && image && !navigator.onLine) {
+            await this.queueOfflineScan(image, meta);
+            return;
+        }
 
+        const controller = new AbortController();
         this.state.isAnalyzing = true;
+        this.state.analysisController = controller;
         this.setAIStatus('processing', 'ANALYZING 0%');
-        this.dom.captureBtn?.classList.add('processing');
+        this.setCaptureButtonCancellable(true);
 
         try {
-            // Capture frame
-            const frame = this.captureFrame();
-            
-            // Simulate AI processing with progress
-            await this.simulateProgress();
-
-            // Generate result based on scan type
-            const result = this.generateMockResult();
-            
-            // Add findings based on scan type
-            const typeFindings = this.MOCK_DATA.findings[this.state.scanType] || 
-                               this.MOCK_DATA.defaultFindings;
-            result.findings = [
-                ...typeFindings.slice(0, 3),
-                ...this.MOCK_DATA.defaultFindings.slice(0, 1)
-            ];
+            const result = this.CONFIG.DEMO_MODE ?
+                await this.runDemoAnalysis(controller.signal) :
+                await this.analyzeImage(image, this.state.scanType, controller.signal);
 
-            const entry = this.createHistoryEntry(result);
+            const entry = this.createHistoryEntry(result, meta);
             this.state.history.unshift(entry);
-            this.saveState();
+            await this.saveEntry(entry, image);
 
             // Update UI
             this.renderResults(entry);
@@ -1132,18 +4517,318 @@ For medical use only. Always consult with a qualified healthcare provider.
             this.showToast("Analysis complete", "success");
 
         } catch (error) {
-            console.error("Analysis failed:", error);
-            this.setAIStatus('error', 'ANALYSIS FAILED');
-            this.showToast("Analysis failed. Please try again.", "error");
+            if (error?.name === 'AbortError') {
+                this.showToast("Analysis cancelled", "info");
+            } else if (error instanceof TypeError && image && !this.CONFIG.DEMO_MODE) {
+                // Connection dropped mid-upload: keep the scan for later
+                await this.queueOfflineScan(image, meta);
+            } else {
+                console.error("Analysis failed:", error);
+                this.setAIStatus('error', 'ANALYSIS FAILED');
+                this.showToast(this.getAnalysisErrorMessage(error), "error");
+            }
         } finally {
             this.state.isAnalyzing = false;
+            this.state.analysisController = null;
             this.setAIStatus('online', 'AI READY');
-            this.dom.captureBtn?.classList.remove('processing');
+            this.setCaptureButtonCancellable(false);
         }
     },
 
-    simulateProgress() {
-        return new Promise(resolve => {
+    cancelAnalysis() {
+        if (!this.state.analysisController) return;
+        this.setAIStatus('processing', 'CANCELLING...');
+        this.state.analysisController.abort();
+    },
+
+    setCaptureButtonCancellable(cancellable) {
+        const btn = this.dom.captureBtn;
+        if (!btn) return;
+
+        btn.classList.toggle('processing', cancellable);
+        btn.title = cancellable ? 'Cancel Analysis' : 'Capture & Analyze';
+        btn.setAttribute('aria-label', cancellable ? 'Cancel analysis' : 'Capture and analyze scan');
+    },
+
+    /**
+     * Uploads an image to the diagnostics endpoint and resolves with the
+     * normalized result. `onStatus` receives progress text (defaults to the
+     * scanner status badge).
+     */
+    async analyzeImage(image, scanType, signal, onStatus = (text) => this.setAIStatus('processing', text)) {
+        let token = window.MedAI?.getToken?.();
+        if (!token) {
+            throw { status: 401, code: 'NO_TOKEN', message: 'Not authenticated' };
+        }
+
+        const formData = new FormData();
+        formData.append('image', image, image.name || `scan_${Date.now()}.jpg`);
+        formData.append('scanType', scanType);
+
+        let { status, data } = await this.uploadForAnalysis(formData, token, signal, onStatus);
+
+        // A token that lapsed mid-session gets one silent refresh and retry;
+        // if that fails the auth module ends the session and we explain why
+        if (status === 401 && await window.MedAI?.refreshSession?.()) {
+            token = window.MedAI.getToken();
+            ({ status, data } = await this.uploadForAnalysis(formData, token, signal, onStatus));
+        }
+
+        if (status < 200 || status >= 300) {
+            throw {
+                status,
+                message: data.message || 'Analysis request failed',
+                code: data.code,
+                data
+            };
+        }
+
+        // 202 Accepted: the backend queued the scan and reports stages on a job
+        const job = status === 202 ? (data.jobId || data.job?.id) : null;
+        const finalData = job ? await this.pollAnalysisJob(job, token, signal, onStatus) : data;
+
+        return this.normalizeAnalysisResult(finalData);
+    },
+
+    // XHR rather than fetch: fetch has no upload progress events
+    uploadForAnalysis(formData, token, signal, onStatus) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${this.CONFIG.API_BASE}${this.CONFIG.ANALYZE_ENDPOINT}`);
+            xhr.setRequestHeader('Accept', 'application/json');
+            xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+            xhr.upload.onprogress = (e) => {
+                if (!e.lengthComputable) return;
+                const percent = Math.floor((e.loaded / e.total) * 100);
+                onStatus(`UPLOADING ${percent}% (${this.formatBytes(e.loaded)} / ${this.formatBytes(e.total)})`);
+            };
+            xhr.upload.onload = () => onStatus('PROCESSING...');
+
+            xhr.onload = () => {
+                let data = {};
+                try {
+                    data = JSON.parse(xhr.responseText || '{}');
+                } catch (e) {
+                    // Non-JSON error pages still carry a useful status
+                }
+                resolve({ status: xhr.status, data });
+            };
+            xhr.onerror = () => reject(new TypeError('Network request failed'));
+            xhr.onabort = () => reject(new DOMException('Analysis cancelled', 'AbortError'));
+
+            if (signal) {
+                if (signal.aborted) return reject(new DOMException('Analysis cancelled', 'AbortError'));
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
+            xhr.send(formData);
+        });
+    },
+
+    async pollAnalysisJob(jobId, token, signal, onStatus) {
+        const url = `${this.CONFIG.API_BASE}${this.CONFIG.ANALYZE_ENDPOINT}/${encodeURIComponent(jobId)}`;
+        const deadline = Date.now() + this.CONFIG.JOB_POLL_TIMEOUT;
+
+        while (Date.now() < deadline) {
+            await this.delay(this.CONFIG.JOB_POLL_INTERVAL, signal);
+
+            const response = await fetch(url, {
+                headers: {
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                signal
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw {
+                    status: response.status,
+                    message: data.message || 'Analysis job lookup failed',
+                    code: data.code,
+                    data
+                };
+            }
+
+            const stage = (data.stage || data.status || '').toLowerCase();
+            if (stage === 'failed' || stage === 'error') {
+                throw { status: 500, message: data.message || 'Analysis failed on server', code: data.code, data };
+            }
+            if (stage === 'completed' || stage === 'done' || data.result) {
+                return data;
+            }
+
+            onStatus(this.formatAnalysisStage(stage, data.progress));
+        }
+
+        throw { status: 408, code: 'JOB_TIMEOUT', message: 'Analysis timed out' };
+    },
+
+    formatAnalysisStage(stage, progress) {
+        const labels = {
+            queued: 'QUEUED',
+            preprocessing: 'PREPROCESSING',
+            inference: 'RUNNING MODEL',
+            postprocessing: 'FINALIZING'
+        };
+        const label = labels[stage] || (stage ? stage.replace(/[_-]/g, ' ').toUpperCase() : 'PROCESSING');
+        return typeof progress === 'number' ? `${label} ${Math.floor(progress)}%` : `${label}...`;
+    },
+
+    normalizeAnalysisResult(data) {
+        const payload = data.result || data.data || data;
+
+        // Backends report confidence either as 0-1 or as a percentage
+        let confidence = Number(payload.confidence ?? payload.score ?? 0);
+        if (confidence > 0 && confidence <= 1) confidence *= 100;
+        confidence = Math.round(Math.min(Math.max(confidence, 0), 100));
+
+        const findings = Array.isArray(payload.findings) ?
+            payload.findings
+                .map(f => typeof f === 'string' ? f : (f?.text || f?.label || f?.description))
+                .filter(Boolean) :
+            [];
+
+        // Model is either {name, version} or a plain name with a separate version
+        const model = payload.model && typeof payload.model === 'object' ? payload.model : {};
+        const modelName = model.name || (typeof payload.model === 'string' ? payload.model : payload.modelName);
+        const modelVersion = model.version || payload.modelVersion || payload.model_version;
+
+        const analyzedAt = Date.parse(payload.analyzedAt || payload.completedAt || payload.timestamp || '');
+
+        const result = {
+            title: payload.title || payload.diagnosis || payload.label || 'Analysis Complete',
+            confidence,
+            description: payload.description || payload.summary || this.MOCK_DATA.defaultDescription,
+            findings,
+            regions: this.normalizeFindingRegions(payload),
+            modelName: modelName ? String(modelName) : null,
+            modelVersion: modelVersion ? String(modelVersion) : null,
+            analyzedAt: Number.isFinite(analyzedAt) ? analyzedAt : null,
+            studyId: payload.studyId || null,
+            accessionNumber: payload.accessionNumber || payload.accession || null
+        };
+
+        // Leave out what the backend did not report so merges keep local values
+        Object.keys(result).forEach(key => {
+            if (result[key] == null) delete result[key];
+        });
+        return result;
+    },
+
+    /**
+     * Collects per-finding regions into one flat list. Each region carries
+     * the index of its finding (null for whole-study heatmaps), a kind of
+     * 'box', 'polygon' or 'heatmap', and whether its coordinates are
+     * relative (0-1) or image pixels.
+     */
+    normalizeFindingRegions(payload) {
+        const regions = [];
+        const texts = [];
+
+        (Array.isArray(payload.findings) ? payload.findings : []).forEach(f => {
+            const text = typeof f === 'string' ? f : (f?.text || f?.label || f?.description);
+            if (!text) return;
+            const findingIndex = texts.push(text) - 1;
+
+            if (typeof f === 'object') {
+                const shapes = [f, ...(Array.isArray(f.regions) ? f.regions : [])];
+                shapes.forEach(shape => {
+                    const region = this.parseRegion(shape, findingIndex, f.label || text);
+                    if (region) regions.push(region);
+                });
+            }
+        });
+
+        // Standalone regions reference findings by index
+        (Array.isArray(payload.regions) ? payload.regions : []).forEach(shape => {
+            const finding = Number.isInteger(shape.finding) ? shape.finding : null;
+            const region = this.parseRegion(shape, finding, shape.label || texts[finding] || null);
+            if (region) regions.push(region);
+        });
+
+        const heatmap = this.parseRegion({ heatmap: payload.heatmap }, null, null);
+        if (heatmap) regions.push(heatmap);
+
+        return regions;
+    },
+
+    parseRegion(shape, finding, label) {
+        if (!shape || typeof shape !== 'object') return null;
+        const space = (values) => (values.some(v => v > 1) ? 'pixel' : 'relative');
+
+        const box = shape.box || shape.bbox || shape.boundingBox;
+        if (box) {
+            let x, y, w, h;
+            if (Array.isArray(box)) {
+                [x, y, w, h] = box.map(Number);
+            } else if (box.x2 != null) {
+                [x, y, w, h] = [box.x1, box.y1, box.x2 - box.x1, box.y2 - box.y1].map(Number);
+            } else {
+                [x, y, w, h] = [box.x, box.y, box.width ?? box.w, box.height ?? box.h].map(Number);
+            }
+            if (![x, y, w, h].every(Number.isFinite)) return null;
+            return { finding, label, kind: 'box', space: space([x, y, x + w, y + h]), x, y, w, h };
+        }
+
+        const polygon = shape.polygon || shape.points;
+        if (Array.isArray(polygon) && polygon.length >= 3) {
+            const points = polygon.map(p => (Array.isArray(p) ? p : [p.x, p.y]).map(Number));
+            if (!points.every(p => p.every(Number.isFinite))) return null;
+            return { finding, label, kind: 'polygon', space: space(points.flat()), points };
+        }
+
+        const heatmap = shape.heatmap;
+        if (heatmap) {
+            // Either a 2D array of rows or {rows, cols, values}
+            const grid = Array.isArray(heatmap) ? heatmap : null;
+            const rows = grid ? grid.length : Number(heatmap.rows);
+            const cols = grid ? grid[0]?.length : Number(heatmap.cols);
+            const values = (grid ? grid.flat() : heatmap.values || []).map(Number);
+            if (!rows || !cols || values.length !== rows * cols) return null;
+
+            // Scale raw scores into 0-1. No spread: a 512x512 grid is too
+            // many arguments for Math.max
+            const max = values.reduce((acc, v) => (v > acc ? v : acc), -Infinity);
+            const scaled = max > 1 ? values.map(v => v / max) : values;
+            return { finding, label, kind: 'heatmap', space: 'relative', rows, cols, values: scaled };
+        }
+
+        return null;
+    },
+
+    getAnalysisErrorMessage(error) {
+        if (error?.status === 401) return "Session expired. Please log in again.";
+        if (error?.status === 413) return "Image is too large to analyze.";
+        if (error?.status === 408) return "Analysis timed out. Please try again.";
+        if (error instanceof TypeError) return "Cannot reach the diagnostics server.";
+        return error?.message ? `Analysis failed: ${error.message}` : "Analysis failed. Please try again.";
+    },
+
+    // Mock analysis, only used when CONFIG.DEMO_MODE is on
+    async runDemoAnalysis(signal, onStatus) {
+        // Simulate AI processing with progress
+        await this.simulateProgress(signal, onStatus);
+
+        // Generate result based on scan type
+        const result = this.generateMockResult();
+        
+        // Add findings based on scan type
+        const typeFindings = this.MOCK_DATA.findings[this.state.scanType] || 
+                           this.MOCK_DATA.defaultFindings;
+        result.findings = [
+            ...typeFindings.slice(0, 3),
+            ...this.MOCK_DATA.defaultFindings.slice(0, 1)
+        ];
+        result.regions = this.generateMockRegions(result.findings);
+        result.demo = true;
+
+        return result;
+    },
+
+    simulateProgress(signal, onStatus = (text) => this.setAIStatus('processing', text)) {
+        return new Promise((resolve, reject) => {
             let progress = 0;
             const interval = setInterval(() => {
                 progress += Math.random() * 15;
@@ -1152,8 +4837,13 @@ For medical use only. Always consult with a qualified healthcare provider.
                     clearInterval(interval);
                     resolve();
                 }
-                this.setAIStatus('processing', `ANALYZING ${Math.floor(progress)}%`);
+                onStatus(`ANALYZING ${Math.floor(progress)}%`);
             }, this.CONFIG.PROGRESS_INTERVAL);
+
+            signal?.addEventListener('abort', () => {
+                clearInterval(interval);
+                reject(new DOMException('Analysis cancelled', 'AbortError'));
+            }, { once: true });
         });
     },
 
@@ -1162,42 +4852,263 @@ For medical use only. Always consult with a qualified healthcare provider.
         const confidence = Math.floor(this.CONFIG.MIN_CONFIDENCE + Math.random() * 20);
         const title = titles[Math.floor(Math.random() * titles.length)];
 
+        const model = this.MOCK_DATA.aiModels[Math.floor(Math.random() * this.MOCK_DATA.aiModels.length)];
+
         return {
             title,
             confidence,
             description: this.MOCK_DATA.defaultDescription,
-            findings: [...this.MOCK_DATA.defaultFindings]
+            findings: [...this.MOCK_DATA.defaultFindings],
+            modelName: model.name,
+            modelVersion: model.version
         };
     },
 
-    createHistoryEntry(result) {
-        return {
-            id: Date.now() + Math.random(),
-            date: new Date().toLocaleString(),
+    // Random boxes for the first findings plus a blob-shaped heatmap
+    generateMockRegions(findings) {
+        const regions = findings.slice(0, 2).map((label, finding) => ({
+            finding,
+            label,
+            kind: 'box',
+            space: 'relative',
+            x: 0.15 + Math.random() * 0.45,
+            y: 0.15 + Math.random() * 0.45,
+            w: 0.12 + Math.random() * 0.15,
+            h: 0.12 + Math.random() * 0.15
+        }));
+
+        const size = 16;
+        const cx = regions[0] ? (regions[0].x + regions[0].w / 2) * size : size / 2;
+        const cy = regions[0] ? (regions[0].y + regions[0].h / 2) * size : size / 2;
+        const values = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const distance = Math.hypot(col + 0.5 - cx, row + 0.5 - cy);
+                values.push(Math.max(0, 1 - distance / 5));
+            }
+        }
+        regions.push({ finding: 0, label: null, kind: 'heatmap', space: 'relative', rows: size, cols: size, values });
+
+        return regions;
+    },
+
+    createHistoryEntry(result, meta = {}) {
+        const now = Date.now();
+        // DICOM identifiers in `meta` win over anything the backend echoes
+        const entry = {
+            id: now + Math.random(),
+            timestamp: now,
+            date: new Date(now).toLocaleString(),
             type: this.state.scanType,
-            ...result
+            ...result,
+            ...meta
         };
+        this.assignStudyIdentifiers(entry);
+        return entry;
+    },
+
+    /**
+     * Fills in missing study ID, accession number and analysis time. Values
+     * are only ever assigned once so every view and report shows the same
+     * identifiers. Returns true when the entry changed and needs saving.
+     */
+    assignStudyIdentifiers(entry) {
+        let changed = false;
+        const date = new Date(entry.timestamp || Date.now());
+
+        if (!entry.studyId) {
+            const prefix = this.CONFIG.STUDY_ID_PREFIXES[entry.type] || 'MED';
+            entry.studyId = `${prefix}-${date.getFullYear()}-${this.randomCode(6)}`;
+            changed = true;
+        }
+
+        if (!entry.accessionNumber) {
+            const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+            entry.accessionNumber = `ACC${day}${this.randomCode(4)}`;
+            changed = true;
+        }
+
+        // Pending offline scans get their analysis time when results arrive
+        if (!entry.analyzedAt && entry.status !== 'pending' && entry.status !== 'failed') {
+            entry.analyzedAt = entry.timestamp || Date.now();
+            changed = true;
+        }
+
+        return changed;
+    },
+
+    formatAnalyzedAt(entry) {
+        return entry.analyzedAt ? new Date(entry.analyzedAt).toLocaleString() : 'Pending';
+    },
+
+    formatModel(entry) {
+        if (entry.modelName) {
+            const version = entry.modelVersion;
+            if (!version) return entry.modelName;
+            return `${entry.modelName} ${/^v/i.test(version) ? version : `v${version}`}`;
+        }
+        // Older entries stored a single display string
+        return entry.model || 'Not reported';
     },
 
     captureFrame() {
-        if (!this.dom.video || !this.dom.video.videoWidth) return null;
+        if (!this.dom.video || !this.dom.video.videoWidth) return Promise.resolve(null);
 
         const canvas = document.createElement('canvas');
         canvas.width = this.dom.video.videoWidth;
         canvas.height = this.dom.video.videoHeight;
         
         const ctx = canvas.getContext('2d');
-        if (!ctx) return null;
+        if (!ctx) return Promise.resolve(null);
         
         ctx.drawImage(this.dom.video, 0, 0);
-        return canvas.toDataURL('image/jpeg');
+        return new Promise(resolve => {
+            canvas.toBlob(resolve, 'image/jpeg', this.CONFIG.JPEG_QUALITY);
+        });
+    },
+
+    // ========== OFFLINE SCAN QUEUE ==========
+    async queueOfflineScan(image, meta = {}) {
+        const entry = this.createHistoryEntry({
+            title: 'Pending analysis',
+            confidence: null,
+            description: 'Captured offline. This scan will be analyzed automatically when the connection returns.',
+            findings: [],
+            status: 'pending'
+        }, meta);
+
+        try {
+            // History first: a flush that finds a queued scan without its
+            // history entry drops it as deleted
+            await HistoryStore.put(entry, image);
+            await ScanQueue.add({
+                id: entry.id,
+                image,
+                fileName: image.name || `scan_${Math.floor(entry.id)}.jpg`,
+                scanType: entry.type,
+                endpoint: `${this.CONFIG.API_BASE}${this.CONFIG.ANALYZE_ENDPOINT}`
+            });
+        } catch (error) {
+            console.error("Failed to queue offline scan:", error);
+            // A pending entry nothing will ever analyze is worse than none
+            HistoryStore.remove(entry.id).catch(() => {});
+            this.showToast("Offline and unable to store the scan on this device", "error");
+            return;
+        }
+
+        this.audit('analyze', entry, { queued: true });
+        this.state.history.unshift(entry);
+        await this.refreshHistoryStats().catch(error => console.error("Failed to refresh history stats:", error));
+        this.updateAnalytics();
+        this.renderHistory();
+
+        this.registerScanSync();
+        this.showToast("You're offline. Scan saved and will be analyzed when back online.", "warning", 5000);
+    },
+
+    async registerScanSync() {
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            if (registration?.sync) {
+                await registration.sync.register(ScanQueue.SYNC_TAG);
+            }
+            // Without Background Sync the 'online' listener replays the queue
+        } catch (error) {
+            console.warn("Background sync unavailable:", error);
+        }
+    },
+
+    // Resolves to the number of scans still queued, or null on failure
+    async flushScanQueue() {
+        if (typeof ScanQueue === 'undefined') return 0;
+
+        try {
+            let remaining = null;
+            if (navigator.onLine) {
+                remaining = await ScanQueue.processAll({ token: window.MedAI?.getToken?.() });
+            }
+            await this.mergeQueuedResults();
+            return remaining ?? ScanQueue.countWaiting(await ScanQueue.getAll());
+        } catch (error) {
+            console.error("Failed to flush offline scans:", error);
+            return null;
+        }
+    },
+
+    async mergeQueuedResults() {
+        const records = await ScanQueue.getAll();
+        const changed = [];
+        const analyzed = [];
+
+        for (const record of records) {
+            // Older scans may not be paged into memory yet. A failed read
+            // (e.g. locked keys) says nothing about the entry: retry later
+            let entry = this.state.history.find(h => h.id === record.id);
+            if (!entry) {
+                try {
+                    entry = await HistoryStore.get(record.id);
+                } catch (error) {
+                    console.warn("Couldn't read history for a queued scan:", error);
+                    continue;
+                }
+            }
+
+            if (!entry) {
+                // History entry was removed; drop its upload too
+                await ScanQueue.remove(record.id);
+            } else if (record.status === 'done') {
+                // Identifiers were assigned at capture time and stay fixed
+                const { studyId, accessionNumber } = entry;
+                const result = await ScanQueue.openResult(record);
+                Object.assign(entry, this.normalizeAnalysisResult(result), { studyId, accessionNumber });
+                delete entry.status;
+                delete entry.syncError;
+                entry.analyzedAt = entry.analyzedAt || Date.now();
+                changed.push(entry);
+                analyzed.push(record.id);
+            } else if (record.status === 'failed' && entry.status !== 'failed') {
+                entry.status = 'failed';
+                entry.syncError = record.error;
+                changed.push(entry);
+            }
+        }
+
+        if (changed.length === 0) return;
+
+        await this.saveState(changed);
+        // Results leave the queue only once history holds them
+        await Promise.all(analyzed.map(id => ScanQueue.remove(id)));
+        this.updateAnalytics();
+        this.renderHistory();
+
+        const current = this.state.currentResult;
+        if (current && records.some(r => r.id === current.id)) {
+            this.renderResults(current);
+        }
+
+        if (analyzed.length > 0) {
+            const message = `${analyzed.length} offline scan${analyzed.length > 1 ? 's' : ''} analyzed`;
+            this.showToast(message, "success");
+            this.notifyDesktop(message);
+        }
+    },
+
+    // Browser notification for work that finished while the tab was in the background
+    notifyDesktop(message) {
+        if (!document.hidden || !this.getUserPreferences().notifications.desktop) return;
+        if (window.Notification?.permission !== 'granted') return;
+
+        new window.Notification('MedAI', { body: message, tag: 'medai-scans' });
     },
 
     // ========== UTILITY FUNCTIONS ==========
-    loadState() {
+    async loadState() {
         try {
-            const savedHistory = localStorage.getItem(this.CONFIG.STORAGE_KEY);
-            this.state.history = savedHistory ? JSON.parse(savedHistory) : [];
+            await this.loadActivePatient();
+            await HistoryStore.migrateFromLocalStorage();
+            await HistoryStore.encryptLegacyRecords();
+            this.state.history = await HistoryStore.query({ limit: this.CONFIG.HISTORY_PAGE_SIZE });
+            await this.refreshHistoryStats();
         } catch (error) {
             console.error("Failed to load history:", error);
             this.state.history = [];
@@ -1205,17 +5116,53 @@ For medical use only. Always consult with a qualified healthcare provider.
         this.updateAnalytics();
     },
 
-    saveState() {
+    // Persists history entries that changed in memory (all loaded ones by
+    // default). Rejects when they couldn't be stored, so callers can say so
+    async saveState(entries = this.state.history) {
+        await HistoryStore.putAll(entries);
+        await this.refreshHistoryStats().catch(error => console.error("Failed to refresh history stats:", error));
+    },
+
+    async saveEntry(entry, image = null) {
+        this.audit('analyze', entry, entry.status === 'pending' ? { queued: true } : {});
+
+        try {
+            await HistoryStore.put(entry, image);
+            await this.refreshHistoryStats();
+        } catch (error) {
+            console.error("Failed to save history entry:", error);
+        }
+    },
+
+    async loadMoreHistory() {
         try {
-            localStorage.setItem(this.CONFIG.STORAGE_KEY, JSON.stringify(this.state.history));
+            const page = await HistoryStore.query({
+                offset: this.state.history.length,
+                limit: this.CONFIG.HISTORY_PAGE_SIZE
+            });
+            this.state.history.push(...page);
         } catch (error) {
-            console.error("Failed to save history:", error);
+            console.error("Failed to load more history:", error);
+            this.showToast("Could not load older scans", "error");
         }
+        this.updateAnalytics();
+        this.renderHistory();
+    },
+
+    // Totals come from the store indexes so analytics cover every scan,
+    // not just the pages loaded into memory
+    async refreshHistoryStats() {
+        const counts = await Promise.all(this.CONFIG.SCAN_TYPES.map(type => HistoryStore.count(type)));
+        const distribution = {};
+        this.CONFIG.SCAN_TYPES.forEach((type, i) => { distribution[type] = counts[i]; });
+
+        this.state.historyTotal = await HistoryStore.count();
+        this.state.historyStats = { distribution };
     },
 
     updateAnalytics() {
         const history = this.state.history;
-        const total = history.length;
+        const total = Math.max(history.length, this.state.historyTotal);
         
         this.state.analytics.totalScans = total;
 
@@ -1232,10 +5179,11 @@ For medical use only. Always consult with a qualified healthcare provider.
         }
 
         // Calculate distribution
-        this.state.analytics.distribution = this.calculateDistribution(history);
+        this.state.analytics.distribution = this.state.historyStats?.distribution ||
+            this.calculateDistribution(history);
         
         // Update trend data (last 7 scans)
-        this.state.analytics.trendData = history.slice(0, 7).map(item => ({
+        this.state.analytics.trendData = validHistory.slice(0, 7).map(item => ({
             confidence: item.confidence
         }));
     },
@@ -1279,16 +5227,51 @@ For medical use only. Always consult with a qualified healthcare provider.
         return this.state.history.filter(item => 
             item.title?.toLowerCase().includes(searchTerm) ||
             item.type?.toLowerCase().includes(searchTerm) ||
-            item.date?.toLowerCase().includes(searchTerm)
+            item.date?.toLowerCase().includes(searchTerm) ||
+            item.studyId?.toLowerCase().includes(searchTerm) ||
+            item.accessionNumber?.toLowerCase().includes(searchTerm) ||
+            item.patient?.name?.toLowerCase().includes(searchTerm) ||
+            item.patient?.id?.toLowerCase().includes(searchTerm) ||
+            item.patient?.mrn?.toLowerCase().includes(searchTerm)
         );
     },
 
+    // Uppercase alphanumerics without look-alikes (0/O, 1/I)
+    randomCode(length) {
+        const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+        const bytes = crypto.getRandomValues(new Uint8Array(length));
+        return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+    },
+
+    // Same alphabet as randomCode, but the same text always gives the same code
+    async stableCode(text, length) {
+        const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest).slice(0, length), b => alphabet[b % alphabet.length]).join('');
+    },
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     },
 
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    },
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
     debounce(fn, delay) {
         let timeoutId;
         return (...args) => {
@@ -1299,12 +5282,19 @@ For medical use only. Always consult with a qualified healthcare provider.
 
     handleScanTypeClick(event) {
         const btn = event.currentTarget;
-        this.dom.typeBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        this.state.scanType = btn.dataset.type;
+        this.setScanType(btn.dataset.type);
         this.showToast(`Switched to ${btn.textContent} mode`, "info");
     },
 
+    setScanType(type) {
+        this.dom.typeBtns.forEach(b => {
+            const active = b.dataset.type === type;
+            b.classList.toggle('active', active);
+            b.setAttribute('aria-selected', active);
+        });
+        this.state.scanType = type;
+    },
+
     handlePopState() {
         const resultsPanel = this.dom.resultsPanel;
         if (resultsPanel && !resultsPanel.classList.contains('hidden')) {
@@ -1314,11 +5304,21 @@ For medical use only. Always consult with a qualified healthcare provider.
 
     cleanup() {
         this.stopCamera();
+        clearInterval(this.lockTimer);
+        clearInterval(this.sessionCountdown);
     },
 
     refreshUI() {
+        this.renderPatientContext();
         this.updateAnalytics();
         this.renderHistory();
+
+        // Opened locked: the camera starts once unlocked
+        if (this.state.lock.locked) {
+            this.state.lock.resumeCamera = true;
+            return;
+        }
+
         this.startCamera().catch(error => {
             console.error("Camera start failed:", error);
             this.setAIStatus('offline', 'CAMERA OFFLINE');
@@ -1331,6 +5331,8 @@ For medical use only. Always consult with a qualified healthcare provider.
             return;
         }
 
+        if (tabId === 'analytics' && !this.requirePermission('analytics.view', 'view facility analytics')) return;
+
         // Hide all sections
         Object.values(this.dom.sections).forEach(section => {
             if (section) section.classList.add('hidden');
@@ -1385,26 +5387,29 @@ For medical use only. Always consult with a qualified healthcare provider.
             // Create date in the past
             const date = new Date(now - (i * 24 * 60 * 60 * 1000));
             
-            demoData.push({
+            const entry = {
                 id: now + i + Math.random(),
+                timestamp: date.getTime(),
                 date: date.toLocaleString(),
                 type,
                 ...result
-            });
+            };
+            this.assignStudyIdentifiers(entry);
+            demoData.push(entry);
 
             this.state.scanType = originalType;
         }
 
         this.state.history.push(...demoData);
-        this.saveState();
+        this.saveState(demoData).catch(error => console.error("Failed to save demo history:", error));
         this.updateAnalytics();
     }
 };
 
 // Initialize application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     try {
-        DashApp.init();
+        await DashApp.init();
     } catch (error) {
         console.error("Failed to initialize Med-AI Dashboard:", error);
         
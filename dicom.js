@@ -0,0 +1,438 @@
+/**
+ * MedAI DICOM Reader
+ * Minimal DICOM Part 10 parser for in-browser preview: reads the study
+ * tags the dashboard needs and renders the first frame with window/level.
+ * Supports uncompressed little-endian transfer syntaxes and baseline JPEG.
+ */
+
+const DicomParser = {
+    TRANSFER_SYNTAX: {
+        IMPLICIT_LE: '1.2.840.10008.1.2',
+        EXPLICIT_LE: '1.2.840.10008.1.2.1',
+        JPEG_BASELINE: '1.2.840.10008.1.2.4.50'
+    },
+
+    // VRs whose explicit encoding uses 2 reserved bytes and a 32-bit length
+    LONG_VRS: ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'],
+
+    // Implicit VR files carry no VR; these are the tags read as numbers
+    IMPLICIT_US_TAGS: ['00280002', '00280006', '00280010', '00280011', '00280100', '00280101', '00280103'],
+
+    TAGS: {
+        transferSyntax: '00020010',
+        studyDate: '00080020',
+        studyTime: '00080030',
+        accessionNumber: '00080050',
+        modality: '00080060',
+        studyDescription: '00081030',
+        patientName: '00100010',
+        patientId: '00100020',
+        patientBirthDate: '00100030',
+        patientSex: '00100040',
+        patientAge: '00101010',
+        bodyPart: '00180015',
+        studyInstanceUid: '0020000D',
+        studyId: '00200010',
+        samplesPerPixel: '00280002',
+        photometric: '00280004',
+        planarConfiguration: '00280006',
+        numberOfFrames: '00280008',
+        rows: '00280010',
+        columns: '00280011',
+        pixelSpacing: '00280030',
+        bitsAllocated: '00280100',
+        bitsStored: '00280101',
+        pixelRepresentation: '00280103',
+        windowCenter: '00281050',
+        windowWidth: '00281051',
+        rescaleIntercept: '00281052',
+        rescaleSlope: '00281053',
+        pixelData: '7FE00010'
+    },
+
+    MODALITY_MAP: {
+        CR: 'xray', DX: 'xray', DR: 'xray', RG: 'xray', MG: 'xray', XA: 'xray',
+        CT: 'ct',
+        MR: 'mri',
+        US: 'ultrasound'
+    },
+
+    // Standard CT windows in Hounsfield units
+    CT_WINDOW_PRESETS: {
+        'Soft tissue': { center: 40, width: 400 },
+        'Brain': { center: 40, width: 80 },
+        'Lung': { center: -600, width: 1500 },
+        'Bone': { center: 300, width: 1500 },
+        'Abdomen': { center: 60, width: 400 }
+    },
+
+    // ==================== DETECTION ====================
+    isDicom(buffer) {
+        if (buffer.byteLength < 132) return false;
+        const magic = new Uint8Array(buffer, 128, 4);
+        return String.fromCharCode(...magic) === 'DICM';
+    },
+
+    // ==================== LOADING ====================
+    async load(file) {
+        const buffer = await file.arrayBuffer();
+        const image = this.parse(buffer);
+
+        if (image.jpeg) {
+            await this.decodeJpeg(image);
+        }
+
+        return image;
+    },
+
+    parse(buffer) {
+        if (!this.isDicom(buffer)) {
+            throw { code: 'NOT_DICOM', message: 'Not a DICOM Part 10 file' };
+        }
+
+        const view = new DataView(buffer);
+
+        // File meta information (group 0002) is always explicit VR little endian
+        const elements = {};
+        let offset = this.readElements(view, 132, true, elements, (tag) => !tag.startsWith('0002'));
+
+        const transferSyntax = this.readString(view, elements[this.TAGS.transferSyntax]);
+        const explicit = transferSyntax !== this.TRANSFER_SYNTAX.IMPLICIT_LE;
+
+        if (![this.TRANSFER_SYNTAX.IMPLICIT_LE, this.TRANSFER_SYNTAX.EXPLICIT_LE, this.TRANSFER_SYNTAX.JPEG_BASELINE]
+            .includes(transferSyntax)) {
+            throw {
+                code: 'UNSUPPORTED_TRANSFER_SYNTAX',
+                message: `Compressed DICOM (transfer syntax ${transferSyntax || 'unknown'}) is not supported`
+            };
+        }
+
+        this.readElements(view, offset, explicit, elements);
+
+        return this.buildImage(view, elements, transferSyntax);
+    },
+
+    // ==================== ELEMENT READING ====================
+    /**
+     * Reads top-level data elements into `elements` (tag -> {vr, offset, length})
+     * until the end of the buffer or until `stop(tag)` returns true.
+     * Returns the offset where reading stopped.
+     */
+    readElements(view, offset, explicit, elements, stop = null) {
+        while (offset + 8 <= view.byteLength) {
+            const tag = this.readTag(view, offset);
+            if (stop && stop(tag)) return offset;
+
+            const element = this.readElementHeader(view, offset, explicit, tag);
+            elements[tag] = element;
+
+            if (element.length === 0xFFFFFFFF) {
+                if (tag === this.TAGS.pixelData) {
+                    element.fragments = this.readFragments(view, element.offset);
+                    return view.byteLength;
+                }
+                offset = this.skipUndefinedLength(view, element.offset, explicit);
+            } else {
+                offset = element.offset + element.length;
+            }
+        }
+
+        return offset;
+    },
+
+    readTag(view, offset) {
+        const group = view.getUint16(offset, true);
+        const element = view.getUint16(offset + 2, true);
+        return (this.hex(group) + this.hex(element)).toUpperCase();
+    },
+
+    hex(value) {
+        return value.toString(16).padStart(4, '0');
+    },
+
+    readElementHeader(view, offset, explicit, tag) {
+        // Item and delimitation tags never carry a VR
+        if (!explicit || tag.startsWith('FFFE')) {
+            return {
+                vr: this.IMPLICIT_US_TAGS.includes(tag) ? 'US' : null,
+                length: view.getUint32(offset + 4, true),
+                offset: offset + 8
+            };
+        }
+
+        const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+
+        if (this.LONG_VRS.includes(vr)) {
+            return { vr, length: view.getUint32(offset + 8, true), offset: offset + 12 };
+        }
+
+        return { vr, length: view.getUint16(offset + 6, true), offset: offset + 8 };
+    },
+
+    // Skips a sequence (or item) of undefined length, including nested ones
+    skipUndefinedLength(view, offset, explicit) {
+        while (offset + 8 <= view.byteLength) {
+            const tag = this.readTag(view, offset);
+
+            if (tag === 'FFFEE0DD' || tag === 'FFFEE00D') {
+                // Sequence or item delimitation
+                return offset + 8;
+            }
+
+            if (tag === 'FFFEE000') {
+                const length = view.getUint32(offset + 4, true);
+                offset = length === 0xFFFFFFFF ?
+                    this.skipUndefinedLength(view, offset + 8, explicit) :
+                    offset + 8 + length;
+                continue;
+            }
+
+            const element = this.readElementHeader(view, offset, explicit, tag);
+            offset = element.length === 0xFFFFFFFF ?
+                this.skipUndefinedLength(view, element.offset, explicit) :
+                element.offset + element.length;
+        }
+
+        return view.byteLength;
+    },
+
+    // Encapsulated pixel data: an offset table item followed by fragments
+    readFragments(view, offset) {
+        const fragments = [];
+        let first = true;
+
+        while (offset + 8 <= view.byteLength) {
+            const tag = this.readTag(view, offset);
+            const length = view.getUint32(offset + 4, true);
+            if (tag !== 'FFFEE000') break;
+
+            if (!first) {
+                fragments.push({ offset: offset + 8, length });
+            }
+            first = false;
+            offset += 8 + length;
+        }
+
+        return fragments;
+    },
+
+    readString(view, element) {
+        if (!element) return '';
+        const bytes = new Uint8Array(view.buffer, element.offset, element.length);
+        return String.fromCharCode(...bytes).replace(/[\0\s]+$/, '').trim();
+    },
+
+    readNumber(view, element) {
+        if (!element) return null;
+
+        if (element.vr === 'US') {
+            return view.getUint16(element.offset, true);
+        }
+
+        // DS/IS values are strings; multi-valued ones use a backslash
+        const value = parseFloat(this.readString(view, element).split('\\')[0]);
+        return Number.isFinite(value) ? value : null;
+    },
+
+    // ==================== IMAGE BUILDING ====================
+    buildImage(view, elements, transferSyntax) {
+        const { TAGS } = this;
+        const str = (tag) => this.readString(view, elements[tag]);
+        const num = (tag) => this.readNumber(view, elements[tag]);
+
+        const image = {
+            tags: {
+                modality: str(TAGS.modality),
+                studyId: str(TAGS.studyId),
+                studyDate: this.formatDate(str(TAGS.studyDate)),
+                studyTime: str(TAGS.studyTime),
+                studyInstanceUid: str(TAGS.studyInstanceUid),
+                accessionNumber: str(TAGS.accessionNumber),
+                studyDescription: str(TAGS.studyDescription),
+                bodyPart: str(TAGS.bodyPart),
+                patientName: str(TAGS.patientName).replace(/\^+/g, ' ').trim(),
+                patientId: str(TAGS.patientId),
+                patientBirthDate: this.formatDate(str(TAGS.patientBirthDate)),
+                patientSex: str(TAGS.patientSex),
+                patientAge: str(TAGS.patientAge),
+                pixelSpacing: this.parsePixelSpacing(str(TAGS.pixelSpacing))
+            },
+            width: num(TAGS.columns),
+            height: num(TAGS.rows),
+            samplesPerPixel: num(TAGS.samplesPerPixel) || 1,
+            photometric: str(TAGS.photometric) || 'MONOCHROME2',
+            window: null,
+            pixels: null,
+            rgb: null,
+            jpeg: null,
+            min: 0,
+            max: 255
+        };
+
+        const pixelElement = elements[TAGS.pixelData];
+        if (!pixelElement || !image.width || !image.height) {
+            throw { code: 'NO_PIXEL_DATA', message: 'DICOM file contains no image' };
+        }
+
+        if (transferSyntax === this.TRANSFER_SYNTAX.JPEG_BASELINE) {
+            if (!pixelElement.fragments?.length) {
+                throw { code: 'NO_PIXEL_DATA', message: 'DICOM file contains no image' };
+            }
+            // Single-frame files: every fragment belongs to the first frame
+            image.jpeg = new Blob(pixelElement.fragments.map(f =>
+                new Uint8Array(view.buffer, f.offset, f.length)), { type: 'image/jpeg' });
+            return image;
+        }
+
+        if (image.photometric === 'PALETTE COLOR') {
+            throw { code: 'UNSUPPORTED_PHOTOMETRIC', message: 'Palette colour DICOM images are not supported' };
+        }
+
+        if (image.samplesPerPixel === 3) {
+            this.readRgbPixels(view, pixelElement, image, num(TAGS.planarConfiguration) || 0);
+            return image;
+        }
+
+        this.readGrayscalePixels(view, pixelElement, image, {
+            bitsAllocated: num(TAGS.bitsAllocated) || 16,
+            bitsStored: num(TAGS.bitsStored),
+            signed: num(TAGS.pixelRepresentation) === 1,
+            slope: num(TAGS.rescaleSlope) ?? 1,
+            intercept: num(TAGS.rescaleIntercept) ?? 0
+        });
+
+        const center = num(TAGS.windowCenter);
+        const width = num(TAGS.windowWidth);
+        image.window = (center !== null && width) ?
+            { center, width } :
+            { center: (image.min + image.max) / 2, width: Math.max(image.max - image.min, 1) };
+
+        return image;
+    },
+
+    // Stores modality values (rescaled, e.g. Hounsfield units for CT)
+    readGrayscalePixels(view, element, image, { bitsAllocated, bitsStored, signed, slope, intercept }) {
+        const count = image.width * image.height;
+        const bytesPerPixel = bitsAllocated / 8;
+        const shift = bitsStored && bitsStored < bitsAllocated ? 32 - bitsStored : 0;
+
+        if (element.offset + count * bytesPerPixel > view.byteLength) {
+            throw { code: 'TRUNCATED', message: 'DICOM pixel data is truncated' };
+        }
+
+        const pixels = new Float32Array(count);
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let i = 0; i < count; i++) {
+            const pos = element.offset + i * bytesPerPixel;
+            let raw;
+
+            if (bitsAllocated === 8) {
+                raw = signed ? view.getInt8(pos) : view.getUint8(pos);
+            } else {
+                raw = view.getUint16(pos, true);
+                if (shift) {
+                    // Mask to BitsStored, sign-extending when signed
+                    raw = signed ? (raw << shift) >> shift : (raw << shift) >>> shift;
+                } else if (signed) {
+                    raw = view.getInt16(pos, true);
+                }
+            }
+
+            const value = raw * slope + intercept;
+            pixels[i] = value;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+
+        image.pixels = pixels;
+        image.min = min;
+        image.max = max;
+    },
+
+    readRgbPixels(view, element, image, planar) {
+        const count = image.width * image.height;
+        const source = new Uint8Array(view.buffer, element.offset, Math.min(element.length, count * 3));
+        const rgb = new Uint8ClampedArray(count * 4);
+
+        for (let i = 0; i < count; i++) {
+            rgb[i * 4] = planar ? source[i] : source[i * 3];
+            rgb[i * 4 + 1] = planar ? source[count + i] : source[i * 3 + 1];
+            rgb[i * 4 + 2] = planar ? source[count * 2 + i] : source[i * 3 + 2];
+            rgb[i * 4 + 3] = 255;
+        }
+
+        image.rgb = rgb;
+    },
+
+    async decodeJpeg(image) {
+        const bitmap = await createImageBitmap(image.jpeg);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        image.rgb = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data;
+        image.width = bitmap.width;
+        image.height = bitmap.height;
+        bitmap.close();
+    },
+
+    // ==================== RENDERING ====================
+    render(image, canvas, { center, width, invert = false } = {}) {
+        canvas.width = image.width;
+        canvas.height = image.height;
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(image.width, image.height);
+        const out = imageData.data;
+
+        if (image.rgb) {
+            out.set(image.rgb);
+            if (invert) {
+                for (let i = 0; i < out.length; i += 4) {
+                    out[i] = 255 - out[i];
+                    out[i + 1] = 255 - out[i + 1];
+                    out[i + 2] = 255 - out[i + 2];
+                }
+            }
+        } else {
+            const wc = center ?? image.window.center;
+            const ww = Math.max(width ?? image.window.width, 1);
+            const low = wc - ww / 2;
+            // MONOCHROME1 stores white as the lowest value
+            const flip = (image.photometric === 'MONOCHROME1') !== invert;
+
+            for (let i = 0; i < image.pixels.length; i++) {
+                let value = ((image.pixels[i] - low) / ww) * 255;
+                value = value < 0 ? 0 : value > 255 ? 255 : value;
+                if (flip) value = 255 - value;
+
+                const o = i * 4;
+                out[o] = out[o + 1] = out[o + 2] = value;
+                out[o + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    },
+
+    // ==================== HELPERS ====================
+    scanTypeFor(modality) {
+        return this.MODALITY_MAP[modality] || null;
+    },
+
+    // DICOM DA values are YYYYMMDD
+    formatDate(value) {
+        if (!/^\d{8}$/.test(value)) return value || '';
+        return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+    },
+
+    // "row\col" in mm; null when absent or malformed
+    parsePixelSpacing(value) {
+        const spacing = (value || '').split('\\').map(Number);
+        return spacing.length === 2 && spacing.every(n => n > 0) ? spacing : null;
+    }
+};
@@ -0,0 +1,364 @@
+/**
+ * MedAI History Store
+ * IndexedDB persistence for scan history. Entry metadata and captured
+ * images live in separate object stores so listing history never loads
+ * image blobs. Records are encrypted with SecureStore: only the fields the
+ * indexes need (id, timestamp, type and a keyed patient reference) are
+ * stored in the clear.
+ */
+
+const HistoryStore = {
+    DB_NAME: 'medai_history',
+    DB_VERSION: 3,
+    ENTRIES: 'entries',
+    IMAGES: 'images',
+    PATIENTS: 'patients',
+    LEGACY_KEY: 'medai_history',
+
+    db: null,
+
+    // ==================== DATABASE ====================
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains(this.ENTRIES)) {
+                    const entries = db.createObjectStore(this.ENTRIES, { keyPath: 'id' });
+                    entries.createIndex('timestamp', 'timestamp');
+                    entries.createIndex('type', 'type');
+                    entries.createIndex('type_timestamp', ['type', 'timestamp']);
+                }
+
+                if (!db.objectStoreNames.contains(this.IMAGES)) {
+                    db.createObjectStore(this.IMAGES, { keyPath: 'id' });
+                }
+
+                // v2: patient records and a per-patient entry index
+                if (event.oldVersion < 2) {
+                    const entries = request.transaction.objectStore(this.ENTRIES);
+                    entries.createIndex('patient_timestamp', ['patient.id', 'timestamp']);
+
+                    const patients = db.createObjectStore(this.PATIENTS, { keyPath: 'id' });
+                    patients.createIndex('lastSeen', 'lastSeen');
+                }
+
+                // v3: encrypted records, indexed by a keyed hash of the
+                // patient ID instead of the ID itself
+                if (event.oldVersion < 3) {
+                    const entries = request.transaction.objectStore(this.ENTRIES);
+                    if (entries.indexNames.contains('patient_timestamp')) entries.deleteIndex('patient_timestamp');
+                    entries.createIndex('patientRef_timestamp', ['patientRef', 'timestamp']);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Signing out deletes the database; let it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Runs `fn` inside one transaction and resolves with whatever it returns
+    // once the transaction has committed
+    async run(storeNames, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            const request = fn(tx, (value) => { result = value; });
+
+            tx.oncomplete = () => resolve(result !== undefined ? result : request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // ==================== ENCRYPTION ====================
+    // Encryption is async, so records are sealed before a transaction
+    // starts and opened after it commits; IndexedDB transactions close
+    // as soon as they have no pending requests.
+    async sealEntry(entry) {
+        return {
+            id: entry.id,
+            timestamp: entry.timestamp,
+            type: entry.type,
+            patientRef: entry.patient?.id ? await SecureStore.reference(entry.patient.id) : undefined,
+            sealed: await SecureStore.encrypt(entry)
+        };
+    },
+
+    async sealImage(id, image) {
+        return {
+            id,
+            type: image.type,
+            sealed: await SecureStore.encryptBytes(await image.arrayBuffer())
+        };
+    },
+
+    async sealPatient(patient) {
+        return {
+            id: await SecureStore.reference(patient.id),
+            lastSeen: patient.lastSeen,
+            sealed: await SecureStore.encrypt(patient)
+        };
+    },
+
+    // Records written before v3 are plain and returned as they are
+    unseal(record) {
+        return record?.sealed ? SecureStore.decrypt(record.sealed) : record;
+    },
+
+    unsealAll(records) {
+        return Promise.all(records.map(record => this.unseal(record)));
+    },
+
+    // ==================== WRITES ====================
+    async put(entry, image = null) {
+        const stores = image ? [this.ENTRIES, this.IMAGES] : [this.ENTRIES];
+        const record = await this.sealEntry(entry);
+        const imageRecord = image ? await this.sealImage(entry.id, image) : null;
+
+        return this.run(stores, 'readwrite', (tx) => {
+            tx.objectStore(this.ENTRIES).put(record);
+            if (imageRecord) tx.objectStore(this.IMAGES).put(imageRecord);
+        });
+    },
+
+    async putAll(entries) {
+        const records = await Promise.all(entries.map(entry => this.sealEntry(entry)));
+
+        return this.run(this.ENTRIES, 'readwrite', (tx) => {
+            const store = tx.objectStore(this.ENTRIES);
+            records.forEach(record => store.put(record));
+        });
+    },
+
+    remove(id) {
+        return this.run([this.ENTRIES, this.IMAGES], 'readwrite', (tx) => {
+            tx.objectStore(this.ENTRIES).delete(id);
+            tx.objectStore(this.IMAGES).delete(id);
+        });
+    },
+
+    // ==================== READS ====================
+    async get(id) {
+        return this.unseal(await this.run(this.ENTRIES, 'readonly', tx => tx.objectStore(this.ENTRIES).get(id)));
+    },
+
+    async getImage(id) {
+        const record = await this.run(this.IMAGES, 'readonly', tx => tx.objectStore(this.IMAGES).get(id));
+        if (!record) return null;
+        if (!record.sealed) return record.blob || null;
+        return new Blob([await SecureStore.decryptBytes(record.sealed)], { type: record.type });
+    },
+
+    count(type = null) {
+        return this.run(this.ENTRIES, 'readonly', (tx) => {
+            const store = tx.objectStore(this.ENTRIES);
+            return type ? store.index('type').count(type) : store.count();
+        });
+    },
+
+    /**
+     * Newest-first page of entries, optionally restricted to one modality
+     * or one patient, and/or a time window (epoch ms, inclusive).
+     * @param {{type?: string, patientId?: string, since?: number, until?: number, offset?: number, limit?: number}} options
+     */
+    async query({ type = null, patientId = null, since = 0, until = Number.MAX_SAFE_INTEGER, offset = 0, limit = 50 } = {}) {
+        const patientRef = patientId ? await SecureStore.reference(patientId) : null;
+
+        const records = await this.run(this.ENTRIES, 'readonly', (tx, setResult) => {
+            const store = tx.objectStore(this.ENTRIES);
+            const [indexName, prefix] =
+                patientRef ? ['patientRef_timestamp', patientRef] :
+                type ? ['type_timestamp', type] :
+                ['timestamp', null];
+            const source = store.index(indexName);
+            const range = prefix === null ?
+                IDBKeyRange.bound(since, until) :
+                IDBKeyRange.bound([prefix, since], [prefix, until]);
+
+            const results = [];
+            let skipped = offset === 0;
+            setResult(results);
+
+            const cursorRequest = source.openCursor(range, 'prev');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                results.push(cursor.value);
+                if (results.length < limit) cursor.continue();
+            };
+        });
+
+        return this.unsealAll(records);
+    },
+
+    /**
+     * One summary per patient that has scans: the newest patient snapshot,
+     * the number of scans and the latest scan time.
+     */
+    async patientSummaries() {
+        const summaries = await this.run(this.ENTRIES, 'readonly', (tx, setResult) => {
+            const index = tx.objectStore(this.ENTRIES).index('patientRef_timestamp');
+            const summaries = [];
+            setResult(summaries);
+
+            // Walk backwards, taking each patient's newest entry and then
+            // jumping straight past the rest of that patient's keys
+            const cursorRequest = index.openCursor(null, 'prev');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+
+                const [patientRef, timestamp] = cursor.key;
+                const summary = { record: cursor.value, lastTimestamp: timestamp, count: 0 };
+                summaries.push(summary);
+
+                const countRequest = index.count(IDBKeyRange.bound([patientRef, 0], [patientRef, Number.MAX_SAFE_INTEGER]));
+                countRequest.onsuccess = () => { summary.count = countRequest.result; };
+
+                cursor.continue([patientRef, -1]);
+            };
+        });
+
+        return Promise.all(summaries.map(async ({ record, lastTimestamp, count }) => ({
+            patient: (await this.unseal(record)).patient,
+            lastTimestamp,
+            count
+        })));
+    },
+
+    // ==================== PATIENTS ====================
+    async putPatient(patient) {
+        const record = await this.sealPatient({ ...patient, lastSeen: Date.now() });
+
+        return this.run(this.PATIENTS, 'readwrite', (tx) => {
+            tx.objectStore(this.PATIENTS).put(record);
+        });
+    },
+
+    async getPatient(id) {
+        const patientRef = await SecureStore.reference(id);
+        return this.unseal(await this.run(this.PATIENTS, 'readonly', tx => tx.objectStore(this.PATIENTS).get(patientRef)));
+    },
+
+    // Most recently used first
+    async recentPatients(limit = 10) {
+        const records = await this.run(this.PATIENTS, 'readonly', (tx, setResult) => {
+            const results = [];
+            setResult(results);
+
+            const cursorRequest = tx.objectStore(this.PATIENTS).index('lastSeen').openCursor(null, 'prev');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                results.push(cursor.value);
+                if (results.length < limit) cursor.continue();
+            };
+        });
+
+        return this.unsealAll(records);
+    },
+
+    // ==================== MIGRATION ====================
+    /**
+     * Encrypts entries, images and patients stored in the clear before v3.
+     * Runs in small batches so no transaction waits on Web Crypto.
+     */
+    async encryptLegacyRecords() {
+        let migrated = 0;
+
+        const plainKeys = (storeName) => this.run(storeName, 'readonly', (tx, setResult) => {
+            const keys = [];
+            setResult(keys);
+            const cursorRequest = tx.objectStore(storeName).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                if (!cursor.value.sealed) keys.push(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+
+        for (const id of await plainKeys(this.ENTRIES)) {
+            const entry = await this.run(this.ENTRIES, 'readonly', tx => tx.objectStore(this.ENTRIES).get(id));
+            await this.putAll([entry]);
+            migrated++;
+        }
+
+        // Images one at a time: they are the large records
+        for (const id of await plainKeys(this.IMAGES)) {
+            const record = await this.run(this.IMAGES, 'readonly', tx => tx.objectStore(this.IMAGES).get(id));
+            const sealed = await this.sealImage(id, record.blob);
+            await this.run(this.IMAGES, 'readwrite', tx => tx.objectStore(this.IMAGES).put(sealed));
+        }
+
+        // Patients were keyed by their plain ID; re-key by reference
+        for (const id of await plainKeys(this.PATIENTS)) {
+            const patient = await this.run(this.PATIENTS, 'readonly', tx => tx.objectStore(this.PATIENTS).get(id));
+            const sealed = await this.sealPatient(patient);
+            await this.run(this.PATIENTS, 'readwrite', (tx) => {
+                const store = tx.objectStore(this.PATIENTS);
+                store.delete(id);
+                store.put(sealed);
+            });
+        }
+
+        if (migrated) console.log(`🔒 Encrypted ${migrated} history entries`);
+        return migrated;
+    },
+
+    // One-time import of the old single-key localStorage history
+    async migrateFromLocalStorage() {
+        const legacy = localStorage.getItem(this.LEGACY_KEY);
+        if (!legacy) return 0;
+
+        let entries;
+        try {
+            entries = JSON.parse(legacy);
+        } catch (error) {
+            console.error("Discarding unreadable legacy history:", error);
+            localStorage.removeItem(this.LEGACY_KEY);
+            return 0;
+        }
+
+        if (!Array.isArray(entries)) entries = [];
+
+        const migrated = entries.map(entry => ({
+            ...entry,
+            timestamp: entry.timestamp || this.parseLegacyTimestamp(entry)
+        }));
+
+        await this.putAll(migrated);
+        localStorage.removeItem(this.LEGACY_KEY);
+
+        console.log(`📦 Migrated ${migrated.length} history entries to IndexedDB`);
+        return migrated.length;
+    },
+
+    parseLegacyTimestamp(entry) {
+        // Dates were stored with toLocaleString(); ids start with Date.now()
+        const parsed = Date.parse(entry.date);
+        if (Number.isFinite(parsed)) return parsed;
+        return Math.floor(Number(entry.id)) || Date.now();
+    }
+};
@@ -0,0 +1,641 @@
+/**
+ * MedAI Image Viewer
+ * Canvas viewer for stored captures: pan, zoom, window/level, invert,
+ * length/angle measurements and AI finding overlays. Measurements are kept
+ * in image pixel coordinates so they survive zooming and can be saved with
+ * the scan.
+ */
+
+class ImageViewer {
+    static MIN_SCALE = 0.1;
+    static MAX_SCALE = 20;
+    static DEFAULT_WINDOW = { level: 128, width: 256 };
+
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = options;
+
+        this.bitmap = null;
+        this.source = null; // original pixels, used for window/level
+        this.processed = document.createElement('canvas');
+
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.window = { ...ImageViewer.DEFAULT_WINDOW };
+        this.invert = false;
+        this.tool = 'pan';
+        this.measurements = [];
+        this.draft = null;
+        this.pixelSpacing = null;
+        this.needsFit = false;
+
+        this.regions = [];
+        this.overlaysVisible = true;
+        this.highlighted = null;
+        this.heatmaps = new Map();
+
+        this.pointers = new Map();
+        this.dragStart = null;
+        this.renderQueued = false;
+
+        this.bindEvents();
+    }
+
+    // ==================== LOADING ====================
+    async load(blob, { measurements = [], pixelSpacing = null } = {}) {
+        this.bitmap?.close?.();
+        this.bitmap = await createImageBitmap(blob);
+
+        this.processed.width = this.bitmap.width;
+        this.processed.height = this.bitmap.height;
+        const pctx = this.processed.getContext('2d');
+        pctx.drawImage(this.bitmap, 0, 0);
+        this.source = pctx.getImageData(0, 0, this.bitmap.width, this.bitmap.height);
+
+        this.measurements = measurements.map(m => ({ ...m, points: m.points.map(p => ({ ...p })) }));
+        this.pixelSpacing = pixelSpacing;
+        this.draft = null;
+        this.window = { ...ImageViewer.DEFAULT_WINDOW };
+        this.invert = false;
+
+        this.fit();
+        this.emitChange();
+    }
+
+    clear() {
+        this.bitmap?.close?.();
+        this.bitmap = null;
+        this.source = null;
+        this.measurements = [];
+        this.draft = null;
+        this.setRegions([]);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // ==================== VIEW ====================
+    fit() {
+        if (!this.bitmap) return;
+
+        this.resizeCanvas();
+        const { width, height } = this.canvas;
+
+        // Hidden panels have no size yet; fit once they are laid out
+        if (!width || !height) {
+            this.needsFit = true;
+            return;
+        }
+
+        const scale = Math.min(width / this.bitmap.width, height / this.bitmap.height);
+        this.view = {
+            scale,
+            x: (width - this.bitmap.width * scale) / 2,
+            y: (height - this.bitmap.height * scale) / 2
+        };
+        this.needsFit = false;
+        this.applyWindow();
+    }
+
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    zoomBy(factor, centerX = this.canvas.width / 2, centerY = this.canvas.height / 2) {
+        const scale = Math.min(Math.max(this.view.scale * factor, ImageViewer.MIN_SCALE), ImageViewer.MAX_SCALE);
+        const applied = scale / this.view.scale;
+
+        // Keep the point under the cursor fixed
+        this.view.x = centerX - (centerX - this.view.x) * applied;
+        this.view.y = centerY - (centerY - this.view.y) * applied;
+        this.view.scale = scale;
+
+        this.requestRender();
+        this.emitChange();
+    }
+
+    panBy(dx, dy) {
+        this.view.x += dx;
+        this.view.y += dy;
+        this.requestRender();
+        this.emitChange();
+    }
+
+    reset() {
+        this.window = { ...ImageViewer.DEFAULT_WINDOW };
+        this.invert = false;
+        this.fit();
+        this.emitChange();
+    }
+
+    fitScale() {
+        if (!this.bitmap || !this.canvas.width) return 1;
+        return Math.min(this.canvas.width / this.bitmap.width, this.canvas.height / this.bitmap.height);
+    }
+
+    /**
+     * View state in image-independent terms (zoom relative to fit, centre
+     * as a fraction of the image) so viewers showing differently sized
+     * images can mirror each other.
+     */
+    getState() {
+        const state = { zoom: 1, center: { x: 0.5, y: 0.5 }, window: { ...this.window }, invert: this.invert };
+        if (!this.bitmap || this.needsFit) return state;
+
+        const { scale, x, y } = this.view;
+        state.zoom = scale / this.fitScale();
+        state.center = {
+            x: (this.canvas.width / 2 - x) / scale / this.bitmap.width,
+            y: (this.canvas.height / 2 - y) / scale / this.bitmap.height
+        };
+        return state;
+    }
+
+    // Used to mirror another viewer; does not emit a change back
+    setState({ zoom, center, window: win, invert }) {
+        if (win) this.window = { ...win };
+        if (typeof invert === 'boolean') this.invert = invert;
+
+        if (this.bitmap && zoom && center && !this.needsFit) {
+            const scale = zoom * this.fitScale();
+            this.view = {
+                scale,
+                x: this.canvas.width / 2 - center.x * this.bitmap.width * scale,
+                y: this.canvas.height / 2 - center.y * this.bitmap.height * scale
+            };
+        }
+        this.applyWindow();
+    }
+
+    // ==================== WINDOW / LEVEL ====================
+    setWindow(level, width) {
+        this.window = {
+            level: Math.min(Math.max(level, 0), 255),
+            width: Math.min(Math.max(width, 1), 512)
+        };
+        this.applyWindow();
+        this.emitChange();
+    }
+
+    setInvert(invert) {
+        this.invert = invert;
+        this.applyWindow();
+        this.emitChange();
+    }
+
+    // Maps stored 8-bit pixels through a window/level lookup table
+    applyWindow() {
+        if (!this.source) return;
+
+        const { level, width } = this.window;
+        const low = level - width / 2;
+        const lut = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) {
+            const mapped = ((v - low) / width) * 255;
+            lut[v] = this.invert ? 255 - mapped : mapped;
+        }
+
+        const src = this.source.data;
+        const out = new ImageData(this.source.width, this.source.height);
+        const data = out.data;
+        for (let i = 0; i < src.length; i += 4) {
+            data[i] = lut[src[i]];
+            data[i + 1] = lut[src[i + 1]];
+            data[i + 2] = lut[src[i + 2]];
+            data[i + 3] = src[i + 3];
+        }
+
+        this.processed.getContext('2d').putImageData(out, 0, 0);
+        this.requestRender();
+    }
+
+    // ==================== MEASUREMENTS ====================
+    setTool(tool) {
+        this.tool = tool;
+        this.draft = null;
+        this.canvas.dataset.tool = tool;
+        this.requestRender();
+    }
+
+    clearMeasurements() {
+        this.measurements = [];
+        this.draft = null;
+        this.requestRender();
+        this.options.onMeasurementsChange?.(this.measurements);
+    }
+
+    addMeasurementPoint(point) {
+        const needed = this.tool === 'angle' ? 3 : 2;
+
+        if (!this.draft) {
+            this.draft = { type: this.tool, points: [point] };
+        } else {
+            this.draft.points.push(point);
+        }
+
+        if (this.draft.points.length === needed) {
+            this.measurements.push(this.draft);
+            this.draft = null;
+            this.options.onMeasurementsChange?.(this.measurements);
+        }
+
+        this.requestRender();
+    }
+
+    describeMeasurement(measurement) {
+        const [a, b, c] = measurement.points;
+
+        if (measurement.type === 'angle') {
+            const angle1 = Math.atan2(a.y - b.y, a.x - b.x);
+            const angle2 = Math.atan2(c.y - b.y, c.x - b.x);
+            let degrees = Math.abs(angle1 - angle2) * 180 / Math.PI;
+            if (degrees > 180) degrees = 360 - degrees;
+            return `${degrees.toFixed(1)}°`;
+        }
+
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+
+        // DICOM PixelSpacing is [row spacing, column spacing] in mm
+        if (this.pixelSpacing) {
+            const mm = Math.hypot(dx * this.pixelSpacing[1], dy * this.pixelSpacing[0]);
+            return `${mm.toFixed(1)} mm`;
+        }
+        return `${Math.hypot(dx, dy).toFixed(0)} px`;
+    }
+
+    // ==================== FINDING OVERLAYS ====================
+    /**
+     * Regions come from the analysis result. Coordinates are either
+     * relative (0-1) or image pixels, as flagged by `space`.
+     * @param {Array<{finding: ?number, kind: 'box'|'polygon'|'heatmap', space: string}>} regions
+     */
+    setRegions(regions) {
+        this.regions = regions || [];
+        this.highlighted = null;
+        this.heatmaps.clear();
+        this.requestRender();
+    }
+
+    setOverlaysVisible(visible) {
+        this.overlaysVisible = visible;
+        if (!visible) this.highlighted = null;
+        this.requestRender();
+    }
+
+    // Highlights every region belonging to one finding (null clears)
+    highlightFinding(finding) {
+        if (this.highlighted === finding) return;
+        this.highlighted = finding;
+        this.requestRender();
+    }
+
+    regionColor(region, alpha = 1) {
+        const hue = region.finding == null ? 0 : (region.finding * 67 + 140) % 360;
+        return `hsla(${hue}, 90%, 55%, ${alpha})`;
+    }
+
+    // Relative coordinates scale with the image; pixel ones are used as-is
+    regionPoint(region, x, y) {
+        if (region.space === 'pixel') return { x, y };
+        return { x: x * this.bitmap.width, y: y * this.bitmap.height };
+    }
+
+    regionPolygon(region) {
+        if (region.kind === 'polygon') {
+            return region.points.map(([x, y]) => this.regionPoint(region, x, y));
+        }
+        const { x, y, w, h } = region;
+        return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]
+            .map(([px, py]) => this.regionPoint(region, px, py));
+    }
+
+    drawRegions() {
+        const { ctx } = this;
+        const ratio = window.devicePixelRatio || 1;
+
+        this.regions.filter(r => r.kind === 'heatmap').forEach(region => this.drawHeatmap(region));
+
+        this.regions.filter(r => r.kind !== 'heatmap').forEach(region => {
+            const active = this.highlighted != null && region.finding === this.highlighted;
+            const dimmed = this.highlighted != null && !active;
+            const points = this.regionPolygon(region).map(p => this.toScreen(p));
+
+            ctx.save();
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+
+            if (active) {
+                ctx.fillStyle = this.regionColor(region, 0.2);
+                ctx.fill();
+            }
+            ctx.strokeStyle = this.regionColor(region, dimmed ? 0.35 : 1);
+            ctx.lineWidth = (active ? 3 : 2) * ratio;
+            ctx.stroke();
+
+            if (region.label && !dimmed) {
+                const top = points.reduce((best, p) => (p.y < best.y ? p : best), points[0]);
+                ctx.font = `${11 * ratio}px sans-serif`;
+                ctx.fillStyle = this.regionColor(region);
+                ctx.fillText(region.label, top.x, Math.max(top.y - 4 * ratio, 12 * ratio));
+            }
+            ctx.restore();
+        });
+    }
+
+    drawHeatmap(region) {
+        let tile = this.heatmaps.get(region);
+        if (!tile) {
+            tile = this.buildHeatmapTile(region);
+            this.heatmaps.set(region, tile);
+        }
+
+        const { ctx } = this;
+        const { x = 0, y = 0, w = 1, h = 1 } = region;
+        const origin = this.toScreen(this.regionPoint(region, x, y));
+        const corner = this.toScreen(this.regionPoint(region, x + w, y + h));
+        const dimmed = this.highlighted != null && region.finding !== this.highlighted;
+
+        ctx.save();
+        ctx.globalAlpha = dimmed ? 0.15 : 0.45;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(tile, origin.x, origin.y, corner.x - origin.x, corner.y - origin.y);
+        ctx.restore();
+    }
+
+    // One pixel per grid cell; drawImage smooths it when scaled up
+    buildHeatmapTile({ rows, cols, values }) {
+        const tile = document.createElement('canvas');
+        tile.width = cols;
+        tile.height = rows;
+        const tctx = tile.getContext('2d');
+        const imageData = tctx.createImageData(cols, rows);
+
+        values.forEach((value, i) => {
+            // Near-zero cells stay transparent so the anatomy shows through
+            const alpha = Math.round(Math.min(value * 1.5, 1) * 255);
+            imageData.data.set([...this.heatColor(value), alpha], i * 4);
+        });
+
+        tctx.putImageData(imageData, 0, 0);
+        return tile;
+    }
+
+    // Blue (cold) through green and yellow to red (hot)
+    heatColor(value) {
+        const stops = [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]];
+        const position = Math.min(Math.max(value, 0), 1) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const t = position - index;
+        return stops[index].map((c, k) => Math.round(c + (stops[index + 1][k] - c) * t));
+    }
+
+    findingAt(point) {
+        const hits = this.regions.filter(region => {
+            if (region.kind === 'heatmap' || region.finding == null) return false;
+            return this.pointInPolygon(point, this.regionPolygon(region));
+        });
+        return hits.length ? hits[hits.length - 1].finding : null;
+    }
+
+    pointInPolygon({ x, y }, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // ==================== COORDINATES ====================
+    toImage(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = this.canvas.width / rect.width;
+        return {
+            x: ((clientX - rect.left) * ratio - this.view.x) / this.view.scale,
+            y: ((clientY - rect.top) * ratio - this.view.y) / this.view.scale
+        };
+    }
+
+    toScreen(point) {
+        return {
+            x: point.x * this.view.scale + this.view.x,
+            y: point.y * this.view.scale + this.view.y
+        };
+    }
+
+    toCanvas(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = this.canvas.width / rect.width;
+        return { x: (clientX - rect.left) * ratio, y: (clientY - rect.top) * ratio };
+    }
+
+    // ==================== RENDERING ====================
+    requestRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    render() {
+        this.resizeCanvas();
+        if (this.needsFit) {
+            this.fit();
+            return;
+        }
+        this.draw();
+    }
+
+    draw() {
+        const { ctx, canvas } = this;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (!this.bitmap) return;
+
+        ctx.setTransform(this.view.scale, 0, 0, this.view.scale, this.view.x, this.view.y);
+        ctx.imageSmoothingEnabled = this.view.scale < 2;
+        ctx.drawImage(this.processed, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        if (this.overlaysVisible) this.drawRegions();
+
+        this.measurements.forEach(m => this.drawMeasurement(m, false));
+        if (this.draft) this.drawMeasurement(this.draft, true);
+    }
+
+    /**
+     * Renders the whole image with the current window/level, overlays and
+     * measurements onto a new canvas, for reports. Large images are scaled
+     * down to `maxDimension` on the longest side.
+     */
+    exportCanvas(maxDimension = 1600) {
+        if (!this.bitmap) return null;
+
+        const scale = Math.min(1, maxDimension / Math.max(this.bitmap.width, this.bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(this.bitmap.width * scale);
+        canvas.height = Math.round(this.bitmap.height * scale);
+
+        // Borrow the drawing path with a temporary target and view
+        const saved = { canvas: this.canvas, ctx: this.ctx, view: this.view, draft: this.draft };
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.view = { scale, x: 0, y: 0 };
+        this.draft = null;
+        try {
+            this.draw();
+        } finally {
+            Object.assign(this, saved);
+        }
+        return canvas;
+    }
+
+    drawMeasurement(measurement, isDraft) {
+        const { ctx } = this;
+        const ratio = window.devicePixelRatio || 1;
+        const points = measurement.points.map(p => this.toScreen(p));
+
+        ctx.save();
+        ctx.strokeStyle = isDraft ? '#ffaa00' : '#00FF88';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 2 * ratio;
+
+        ctx.beginPath();
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.stroke();
+
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3 * ratio, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        const complete = measurement.points.length === (measurement.type === 'angle' ? 3 : 2);
+        if (complete) {
+            // Length labels sit at the end point, angle labels at the vertex
+            const anchor = points[1];
+            ctx.font = `${12 * ratio}px sans-serif`;
+            ctx.lineWidth = 3 * ratio;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            const label = this.describeMeasurement(measurement);
+            ctx.strokeText(label, anchor.x + 6 * ratio, anchor.y - 6 * ratio);
+            ctx.fillText(label, anchor.x + 6 * ratio, anchor.y - 6 * ratio);
+        }
+        ctx.restore();
+    }
+
+    // ==================== EVENTS ====================
+    bindEvents() {
+        const canvas = this.canvas;
+        canvas.dataset.tool = this.tool;
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.bitmap) return;
+            canvas.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.tool === 'length' || this.tool === 'angle') {
+                if (this.pointers.size === 1) {
+                    this.addMeasurementPoint(this.toImage(e.clientX, e.clientY));
+                }
+                return;
+            }
+
+            this.dragStart = { x: e.clientX, y: e.clientY, window: { ...this.window } };
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            const previous = this.pointers.get(e.pointerId);
+            if (!previous) {
+                this.hoverRegion(e);
+                return;
+            }
+
+            // Two-finger pinch zooms regardless of tool
+            if (this.pointers.size === 2) {
+                const [first, second] = [...this.pointers.values()];
+                const before = Math.hypot(first.x - second.x, first.y - second.y);
+                this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                const [a, b] = [...this.pointers.values()];
+                const after = Math.hypot(a.x - b.x, a.y - b.y);
+                const mid = this.toCanvas((a.x + b.x) / 2, (a.y + b.y) / 2);
+                if (before > 0) this.zoomBy(after / before, mid.x, mid.y);
+                return;
+            }
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (!this.dragStart) return;
+
+            if (this.tool === 'window') {
+                // Horizontal drag changes width, vertical changes level
+                const dx = e.clientX - this.dragStart.x;
+                const dy = e.clientY - this.dragStart.y;
+                this.setWindow(this.dragStart.window.level - dy, this.dragStart.window.width + dx);
+            } else if (this.tool === 'pan') {
+                const ratio = canvas.width / canvas.getBoundingClientRect().width;
+                this.panBy((e.clientX - previous.x) * ratio, (e.clientY - previous.y) * ratio);
+            }
+        });
+
+        const release = (e) => {
+            this.pointers.delete(e.pointerId);
+            if (this.pointers.size === 0) this.dragStart = null;
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+        canvas.addEventListener('pointerleave', () => {
+            if (this.overlaysVisible && this.highlighted != null) {
+                this.highlightFinding(null);
+                this.options.onFindingHover?.(null);
+            }
+        });
+
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.bitmap) return;
+            e.preventDefault();
+            const point = this.toCanvas(e.clientX, e.clientY);
+            this.zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1, point.x, point.y);
+        }, { passive: false });
+
+        canvas.addEventListener('dblclick', () => {
+            this.fit();
+            this.emitChange();
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                if (this.needsFit) this.fit();
+                else this.requestRender();
+            });
+            this.resizeObserver.observe(canvas);
+        }
+    }
+
+    hoverRegion(e) {
+        if (!this.bitmap || !this.overlaysVisible || !this.regions.length) return;
+
+        const finding = this.findingAt(this.toImage(e.clientX, e.clientY));
+        if (finding === this.highlighted) return;
+        this.highlightFinding(finding);
+        this.options.onFindingHover?.(finding);
+    }
+
+    emitChange() {
+        this.options.onChange?.(this.getState());
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * MedAI Password Blocklist
+ * Common and breached passwords, checked on the device so candidates
+ * never leave it. Variants are caught by normalizing before the lookup:
+ * "P@ssw0rd2024!" reduces to "password".
+ */
+
+const PasswordBlocklist = {
+    // Most frequent entries of public breach corpora, plus words anyone
+    // guessing at a hospital system would try first
+    WORDS: new Set([
+        '123456', '12345678', '123456789', '1234567890', '12345', '1234567', '111111', '000000',
+        '123123', '654321', '666666', '121212', '112233', '123321', '987654321', '147258369',
+        '11111111', '88888888', '1q2w3e4r', '1q2w3e', 'zaq12wsx', 'qazwsx', '1qaz2wsx',
+        'password', 'passw0rd', 'pass', 'passwd', 'passphrase', 'password1', 'pa55word',
+        'qwerty', 'qwertyuiop', 'qwerty123', 'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm',
+        'abc', 'abcd', 'abcdef', 'abcdefg', 'abcdefgh', 'abc123', 'aaaaaa', 'qweasd',
+        'iloveyou', 'letmein', 'welcome', 'admin', 'administrator', 'root', 'login', 'user',
+        'guest', 'default', 'changeme', 'secret', 'master', 'access', 'trustno', 'whatever',
+        'monkey', 'dragon', 'shadow', 'sunshine', 'princess', 'football', 'baseball', 'soccer',
+        'superman', 'batman', 'starwars', 'pokemon', 'michael', 'jennifer', 'jordan', 'charlie',
+        'freedom', 'hello', 'helloworld', 'flower', 'lovely', 'love', 'loveme', 'hottie',
+        'killer', 'summer', 'winter', 'spring', 'autumn', 'computer', 'internet', 'google',
+        'samsung', 'iphone', 'android', 'mustang', 'ferrari', 'cheese', 'chocolate', 'cookie',
+        'banana', 'orange', 'apple', 'pepper', 'ginger', 'maggie', 'buster', 'tigger', 'ashley',
+        'nicole', 'daniel', 'jessica', 'thomas', 'hunter', 'ranger', 'harley', 'matrix',
+        'blessed', 'blessing', 'jesus', 'jesuschrist', 'godisgood', 'faith', 'family', 'angel',
+        'money', 'success', 'happy', 'smile', 'friends', 'forever', 'january', 'december',
+        'monday', 'friday', 'test', 'testing', 'tester', 'demo', 'sample', 'temp', 'temporary',
+        'medai', 'medical', 'medicine', 'hospital', 'clinic', 'health', 'healthcare', 'doctor',
+        'nurse', 'patient', 'radiology', 'radiologist', 'xray', 'scan', 'surgery', 'pharmacy',
+        'kenya', 'kenya254', 'nairobi', 'mombasa', 'kisumu', 'nakuru', 'eldoret', 'jambo',
+        'hakunamatata', 'harambee', 'uhuru', 'africa'
+    ]),
+
+    // The password as typed, with the usual letter swaps undone, and with
+    // years, digits and symbols trimmed off either end
+    variants(password) {
+        const swaps = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+        const unswap = (text) => text.replace(/[@43!1057$]/g, char => swaps[char]);
+        const trim = (text) => text.replace(/^[^a-z]+|[^a-z]+$/g, '');
+        const lower = String(password).toLowerCase();
+
+        return [
+            lower,
+            unswap(lower),
+            trim(lower),
+            unswap(trim(lower)),
+            trim(unswap(lower))
+        ].filter(Boolean);
+    },
+
+    has(password) {
+        return this.variants(password).some(variant => this.WORDS.has(variant));
+    }
+};
@@ -0,0 +1,565 @@
+/**
+ * MedAI PDF Report
+ * Minimal client-side PDF writer (standard Helvetica fonts, JPEG images)
+ * and the diagnostic report layout built on it. No external libraries:
+ * the dashboard has to produce reports offline.
+ */
+
+class PdfDocument {
+    // Helvetica advance widths (1/1000 em) for ASCII 32-126, from the AFM files
+    static WIDTHS = {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ]
+    };
+
+    static FONTS = {
+        regular: { resource: 'F1', base: 'Helvetica' },
+        bold: { resource: 'F2', base: 'Helvetica-Bold' }
+    };
+
+    // Characters outside Latin-1 that WinAnsiEncoding still covers
+    static WIN_ANSI = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+        'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91,
+        '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+        '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+    };
+
+    constructor({ width = 595.28, height = 841.89, info = {} } = {}) {
+        this.width = width;
+        this.height = height;
+        this.info = info;
+        this.pages = [];
+        this.images = [];
+        this.page = null;
+    }
+
+    addPage() {
+        this.page = { ops: [] };
+        this.pages.push(this.page);
+        return this.page;
+    }
+
+    // ==================== TEXT ====================
+    /**
+     * Converts text to WinAnsi bytes (as a binary string). Arrows become
+     * ASCII, emoji are dropped, and other characters the standard fonts
+     * cannot show (most non-Latin scripts) become '?'.
+     */
+    encode(text) {
+        const normalized = String(text ?? '')
+            .replace(/→/g, '->')
+            .replace(/←/g, '<-')
+            .replace(/[\u200B-\u200D\uFE0F]/g, '');
+
+        let out = '';
+        for (const char of normalized) {
+            const code = char.codePointAt(0);
+            if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+                out += char;
+            } else if (PdfDocument.WIN_ANSI[char]) {
+                out += String.fromCharCode(PdfDocument.WIN_ANSI[char]);
+            } else if (char === '\t') {
+                out += ' ';
+            } else if (code > 255 && code <= 0xFFFF) {
+                out += '?';
+            }
+        }
+        return out;
+    }
+
+    textWidth(text, font = 'regular', size = 10) {
+        const widths = PdfDocument.WIDTHS[font];
+        let total = 0;
+        for (const char of this.encode(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return (total * size) / 1000;
+    }
+
+    // Greedy word wrap; words longer than a line are broken
+    wrapText(text, maxWidth, font = 'regular', size = 10) {
+        const lines = [];
+
+        String(text ?? '').split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.textWidth(candidate, font, size) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+
+                if (line) lines.push(line);
+                line = word;
+                while (this.textWidth(line, font, size) > maxWidth && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    // Coordinates are measured from the top-left corner, like the canvas
+    text(text, x, y, { font = 'regular', size = 10, color = [0, 0, 0] } = {}) {
+        const escaped = this.encode(text).replace(/[\\()]/g, '\\$&');
+        this.page.ops.push(
+            `BT /${PdfDocument.FONTS[font].resource} ${size} Tf ${this.rgb(color)} rg ` +
+            `${this.num(x)} ${this.num(this.height - y)} Td (${escaped}) Tj ET`
+        );
+    }
+
+    // ==================== GRAPHICS ====================
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+        const ops = [];
+        if (fill) ops.push(`${this.rgb(fill)} rg`);
+        if (stroke) ops.push(`${this.rgb(stroke)} RG ${this.num(lineWidth)} w`);
+        ops.push(`${this.num(x)} ${this.num(this.height - y - h)} ${this.num(w)} ${this.num(h)} re`);
+        ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.page.ops.push(ops.join(' '));
+    }
+
+    line(x1, y1, x2, y2, { color = [0, 0, 0], lineWidth = 1 } = {}) {
+        this.page.ops.push(
+            `${this.rgb(color)} RG ${this.num(lineWidth)} w ` +
+            `${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S`
+        );
+    }
+
+    /**
+     * Registers a baseline JPEG and returns its resource name.
+     * @param {Uint8Array} bytes
+     */
+    addImage(bytes, pixelWidth, pixelHeight) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, bytes, pixelWidth, pixelHeight });
+        return name;
+    }
+
+    drawImage(name, x, y, w, h) {
+        this.page.ops.push(
+            `q ${this.num(w)} 0 0 ${this.num(h)} ${this.num(x)} ${this.num(this.height - y - h)} cm /${name} Do Q`
+        );
+    }
+
+    rgb([r, g, b]) {
+        return [r, g, b].map(c => this.num(c / 255)).join(' ');
+    }
+
+    num(value) {
+        return Number(value.toFixed(3)).toString();
+    }
+
+    // ==================== SERIALIZATION ====================
+    toBlob() {
+        const objects = [];
+        const add = (body) => objects.push(body);
+
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null); // page tree, filled in once page ids are known
+        Object.values(PdfDocument.FONTS).forEach(font => {
+            add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+        });
+
+        const imageRefs = this.images.map(image => {
+            add({
+                dict: `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+                stream: image.bytes
+            });
+            return `/${image.name} ${objects.length} 0 R`;
+        });
+
+        const fontRefs = Object.values(PdfDocument.FONTS)
+            .map((font, i) => `/${font.resource} ${i + 3} 0 R`)
+            .join(' ');
+        const resources = `<< /Font << ${fontRefs} >> /XObject << ${imageRefs.join(' ')} >> >>`;
+
+        const pageIds = this.pages.map(page => {
+            const content = this.binary(page.ops.join('\n'));
+            add({ dict: `<< /Length ${content.length} >>`, stream: content });
+            add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+                `/Resources ${resources} /Contents ${objects.length} 0 R >>`);
+            return objects.length;
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const infoEntries = Object.entries(this.info)
+            .map(([key, value]) => `/${key} (${this.encode(value).replace(/[\\()]/g, '\\$&')})`)
+            .join(' ');
+        add(`<< ${infoEntries} /CreationDate (${this.pdfDate(new Date())}) >>`);
+        const infoId = objects.length;
+
+        // Binary comment line marks the file as binary for transfer tools
+        const parts = [this.binary('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        let offset = parts[0].length;
+        const offsets = [];
+
+        objects.forEach((object, i) => {
+            offsets.push(offset);
+            const chunks = typeof object === 'string' ?
+                [this.binary(`${i + 1} 0 obj\n${object}\nendobj\n`)] :
+                [
+                    this.binary(`${i + 1} 0 obj\n${object.dict}\nstream\n`),
+                    object.stream,
+                    this.binary('\nendstream\nendobj\n')
+                ];
+            chunks.forEach(chunk => {
+                parts.push(chunk);
+                offset += chunk.length;
+            });
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF'
+        ].join('\n');
+        parts.push(this.binary(`${xref}\n`));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    binary(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+
+    pdfDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+}
+
+const PdfReport = {
+    MARGIN: 48,
+    FOOTER_HEIGHT: 40,
+    COLORS: {
+        black: [30, 30, 30],
+        green: [0, 107, 60],
+        red: [187, 10, 30],
+        gray: [110, 110, 110],
+        lightGray: [225, 225, 225],
+        white: [255, 255, 255]
+    },
+
+    /**
+     * Lays out a diagnostic report.
+     * @param {{
+     *   entry: object,
+     *   image?: {bytes: Uint8Array, width: number, height: number},
+     *   findings: string[],
+     *   reviewStatus: string,
+     *   measurements?: string[],
+     *   template: object,
+     *   logo?: {bytes: Uint8Array, width: number, height: number},
+     *   clinician: {name: string, role?: string, email?: string},
+     *   modelLabel: string,
+     *   disclaimer: string
+     * }} report
+     * `template` is a ReportTemplates entry; `disclaimer` is its text with
+     * placeholders already filled. `findings` are the signed-off findings
+     * when the result has been reviewed.
+     * @returns {Blob}
+     */
+    build(report) {
+        const { entry, template } = report;
+        const { sections } = template;
+        const doc = new PdfDocument({
+            info: { Title: `${template.title} ${entry.studyId}`, Author: template.facility.name, Producer: 'Med-AI Diagnostic System' }
+        });
+        const layout = { doc, y: 0, width: doc.width - this.MARGIN * 2 };
+
+        doc.addPage();
+        this.drawHeader(layout, report);
+        this.drawDetails(layout, report);
+        if (sections.image && report.image) this.drawImage(layout, report.image);
+        if (sections.impression) this.drawImpression(layout, entry);
+        if (sections.findings) {
+            this.drawList(layout, 'Clinical Findings', report.findings.length ? report.findings : ['No findings reported']);
+        }
+        if (sections.measurements && report.measurements?.length) this.drawList(layout, 'Measurements', report.measurements);
+        if (sections.model) this.drawModel(layout, report);
+        // Unreviewed results are always flagged, whatever the template says
+        if (sections.review || !entry.review) this.drawReview(layout, report);
+        this.drawDisclaimer(layout, report.disclaimer);
+        this.drawFooters(layout, entry);
+
+        return doc.toBlob();
+    },
+
+    // Starts a new page when `height` more points would not fit
+    ensureSpace(layout, height) {
+        if (layout.y + height <= layout.doc.height - this.MARGIN - this.FOOTER_HEIGHT) return;
+        layout.doc.addPage();
+        layout.y = this.MARGIN;
+    },
+
+    drawHeader(layout, { template, logo }) {
+        const { doc } = layout;
+        const { MARGIN, COLORS } = this;
+        const { facility } = template;
+        let textX = MARGIN;
+
+        doc.rect(0, 0, doc.width, 78, { fill: this.hexColor(template.headerColor) || COLORS.black });
+        doc.rect(0, 78, doc.width, 4, { fill: COLORS.green });
+
+        // Logo sits on a white tile so it reads on any header colour
+        if (logo) {
+            const scale = Math.min(120 / logo.width, 50 / logo.height);
+            const w = logo.width * scale;
+            const h = logo.height * scale;
+            doc.rect(MARGIN - 4, 39 - h / 2 - 4, w + 8, h + 8, { fill: COLORS.white });
+            doc.drawImage(doc.addImage(logo.bytes, logo.width, logo.height), MARGIN, 39 - h / 2, w, h);
+            textX += w + 18;
+        }
+
+        doc.text(facility.name, textX, 36, { font: 'bold', size: 17, color: COLORS.white });
+        doc.text(template.title.toUpperCase(), textX, 56, { font: 'bold', size: 9, color: [120, 200, 150] });
+
+        const contact = [facility.address, facility.contact].filter(Boolean);
+        contact.forEach((line, i) => {
+            const width = doc.textWidth(line, 'regular', 8);
+            doc.text(line, doc.width - MARGIN - width, 34 + i * 12, { size: 8, color: COLORS.lightGray });
+        });
+
+        layout.y = 104;
+    },
+
+    drawSectionTitle(layout, title) {
+        const { doc } = layout;
+        this.ensureSpace(layout, 40);
+        doc.text(title.toUpperCase(), this.MARGIN, layout.y, { font: 'bold', size: 9, color: this.COLORS.green });
+        doc.line(this.MARGIN, layout.y + 5, this.MARGIN + layout.width, layout.y + 5, {
+            color: this.COLORS.lightGray, lineWidth: 0.75
+        });
+        layout.y += 20;
+    },
+
+    // Label/value rows in up to three side-by-side columns
+    drawColumns(layout, columns) {
+        const { doc } = layout;
+        const gap = 16;
+        const columnWidth = (layout.width - gap * (columns.length - 1)) / columns.length;
+        const labelWidth = 64;
+        const top = layout.y;
+        let bottom = top;
+
+        columns.forEach(({ title, rows }, i) => {
+            const x = this.MARGIN + i * (columnWidth + gap);
+            let y = top;
+
+            doc.text(title.toUpperCase(), x, y, { font: 'bold', size: 8, color: this.COLORS.green });
+            y += 14;
+
+            rows.forEach(([label, value]) => {
+                const lines = doc.wrapText(value || '—', columnWidth - labelWidth, 'regular', 9);
+                doc.text(label, x, y, { size: 8, color: this.COLORS.gray });
+                lines.forEach((line, n) => doc.text(line, x + labelWidth, y + n * 11, { size: 9 }));
+                y += Math.max(lines.length, 1) * 11 + 3;
+            });
+            bottom = Math.max(bottom, y);
+        });
+
+        layout.y = bottom + 10;
+    },
+
+    drawDetails(layout, { entry, clinician, template }) {
+        const patient = entry.patient || {};
+        const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+        const { sections } = template;
+
+        const columns = [
+            sections.patient && {
+                title: 'Patient',
+                rows: [
+                    ['Name', patient.name || 'Not recorded'],
+                    ['Patient ID', patient.id],
+                    ['MRN', patient.mrn],
+                    ['Age / Sex', `${patient.age || '—'} / ${patient.sex || '—'}`]
+                ]
+            },
+            sections.study && {
+                title: 'Study',
+                rows: [
+                    ['Study ID', entry.studyId],
+                    ['Accession', entry.accessionNumber],
+                    ['Modality', entry.modality ? `${entry.type.toUpperCase()} (${entry.modality})` : entry.type.toUpperCase()],
+                    ['Study date', entry.studyDate || formatDate(entry.timestamp)]
+                ]
+            },
+            sections.clinician && {
+                title: 'Reported by',
+                rows: [
+                    ['Clinician', clinician.name],
+                    ['Role', clinician.role],
+                    ['Email', clinician.email],
+                    ['Facility', template.facility.name]
+                ]
+            }
+        ].filter(Boolean);
+
+        if (columns.length) this.drawColumns(layout, columns);
+    },
+
+    drawImage(layout, image) {
+        const { doc } = layout;
+        const maxHeight = 300;
+        const scale = Math.min(layout.width / image.width, maxHeight / image.height);
+        const w = image.width * scale;
+        const h = image.height * scale;
+
+        this.ensureSpace(layout, h + 20);
+        const name = doc.addImage(image.bytes, image.width, image.height);
+        const x = this.MARGIN + (layout.width - w) / 2;
+
+        doc.rect(this.MARGIN, layout.y, layout.width, h, { fill: [0, 0, 0] });
+        doc.drawImage(name, x, layout.y, w, h);
+        layout.y += h + 8;
+        doc.text('Analyzed image with AI finding overlays and measurements', this.MARGIN, layout.y + 4, {
+            size: 7, color: this.COLORS.gray
+        });
+        layout.y += 20;
+    },
+
+    drawImpression(layout, entry) {
+        const { doc } = layout;
+        this.drawSectionTitle(layout, 'Impression');
+
+        const titleLines = doc.wrapText(entry.title, layout.width - 140, 'bold', 13);
+        this.ensureSpace(layout, titleLines.length * 16 + 40);
+        titleLines.forEach((line, i) => doc.text(line, this.MARGIN, layout.y + i * 16, { font: 'bold', size: 13 }));
+
+        // Confidence bar on the right
+        const barX = this.MARGIN + layout.width - 120;
+        const confidence = Number(entry.confidence) || 0;
+        doc.text(`AI confidence ${confidence}%`, barX, layout.y - 2, { font: 'bold', size: 9 });
+        doc.rect(barX, layout.y + 4, 120, 6, { fill: this.COLORS.lightGray });
+        doc.rect(barX, layout.y + 4, 1.2 * confidence, 6, {
+            fill: confidence >= 85 ? this.COLORS.green : confidence >= 70 ? [230, 150, 0] : this.COLORS.red
+        });
+
+        layout.y += titleLines.length * 16 + 4;
+        this.drawParagraph(layout, entry.description, { size: 10 });
+        layout.y += 8;
+    },
+
+    drawParagraph(layout, text, { size = 10, color = [0, 0, 0], indent = 0 } = {}) {
+        const { doc } = layout;
+        const lineHeight = size * 1.35;
+
+        doc.wrapText(text, layout.width - indent, 'regular', size).forEach(line => {
+            this.ensureSpace(layout, lineHeight);
+            doc.text(line, this.MARGIN + indent, layout.y, { size, color });
+            layout.y += lineHeight;
+        });
+    },
+
+    drawList(layout, title, items) {
+        const { doc } = layout;
+        this.drawSectionTitle(layout, title);
+
+        items.forEach(item => {
+            this.ensureSpace(layout, 14);
+            doc.rect(this.MARGIN + 2, layout.y - 5, 3, 3, { fill: this.COLORS.green });
+            this.drawParagraph(layout, item, { indent: 12 });
+            layout.y += 2;
+        });
+        layout.y += 8;
+    },
+
+    drawModel(layout, { entry, modelLabel }) {
+        this.drawSectionTitle(layout, 'Analysis');
+        this.drawColumns(layout, [{
+            title: 'AI model',
+            rows: [
+                ['Model', modelLabel],
+                ['Analyzed', entry.analyzedAt ? new Date(entry.analyzedAt).toLocaleString() : 'Pending']
+            ]
+        }]);
+    },
+
+    drawReview(layout, { entry, reviewStatus }) {
+        const { review } = entry;
+        this.drawSectionTitle(layout, 'Clinician Review');
+
+        if (!review) {
+            this.drawParagraph(layout, 'PRELIMINARY - this AI result has not yet been reviewed or signed off by a clinician.', {
+                size: 10, color: this.COLORS.red
+            });
+            layout.y += 8;
+            return;
+        }
+
+        this.drawColumns(layout, [{
+            title: reviewStatus,
+            rows: [
+                ['Signed by', review.reviewer.name],
+                ['Email', review.reviewer.email],
+                ['Signed at', new Date(review.reviewedAt).toLocaleString()],
+                ['Impression', review.impression || '—']
+            ]
+        }]);
+    },
+
+    drawDisclaimer(layout, disclaimer) {
+        if (!disclaimer) return;
+        this.ensureSpace(layout, 50);
+        layout.y += 4;
+        this.drawParagraph(layout, disclaimer, { size: 8, color: this.COLORS.gray });
+    },
+
+    hexColor(hex) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+        if (!match) return null;
+        const value = parseInt(match[1], 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    // Footers go on last so every page knows the page count
+    drawFooters(layout, entry) {
+        const { doc } = layout;
+        const total = doc.pages.length;
+        const generated = `Generated ${new Date().toLocaleString()}`;
+
+        doc.pages.forEach((page, i) => {
+            doc.page = page;
+            const y = doc.height - this.MARGIN + 8;
+            doc.line(this.MARGIN, y - 14, this.MARGIN + layout.width, y - 14, { color: this.COLORS.lightGray, lineWidth: 0.75 });
+            doc.text(`Study ${entry.studyId} · ${generated}`, this.MARGIN, y, { size: 8, color: this.COLORS.gray });
+
+            const pageLabel = `Page ${i + 1} of ${total}`;
+            doc.text(pageLabel, this.MARGIN + layout.width - doc.textWidth(pageLabel, 'regular', 8), y, {
+                size: 8, color: this.COLORS.gray
+            });
+        });
+    }
+};
@@ -0,0 +1,211 @@
+/**
+ * MedAI Report Templates
+ * Per-facility letterhead, section layout and wording for PDF, printed
+ * label and shared report output. Templates are stored in localStorage
+ * and text fields may contain {{placeholders}} filled from the study.
+ */
+
+const ReportTemplates = {
+    STORAGE_KEY: 'medai_report_templates',
+
+    SECTIONS: {
+        patient: 'Patient details',
+        study: 'Study details',
+        clinician: 'Reporting clinician',
+        image: 'Analyzed image',
+        impression: 'Impression & confidence',
+        findings: 'Clinical findings',
+        measurements: 'Measurements',
+        model: 'AI model',
+        review: 'Clinician review'
+    },
+
+    PLACEHOLDERS: {
+        'date': 'Date the report was generated',
+        'report.title': 'Report title',
+        'facility.name': 'Facility name',
+        'facility.address': 'Facility address',
+        'facility.contact': 'Facility phone / email',
+        'patient.name': 'Patient name',
+        'patient.id': 'Patient ID',
+        'patient.mrn': 'Medical record number',
+        'patient.age': 'Patient age',
+        'patient.sex': 'Patient sex',
+        'study.id': 'Study ID',
+        'study.accession': 'Accession number',
+        'study.title': 'Diagnosis / impression',
+        'study.modality': 'Modality',
+        'study.date': 'Study date',
+        'study.analyzedAt': 'Analysis time',
+        'study.confidence': 'AI confidence',
+        'study.model': 'AI model and version',
+        'clinician.name': 'Clinician name',
+        'clinician.role': 'Clinician role',
+        'clinician.email': 'Clinician email',
+        'review.status': 'Review status',
+        'review.by': 'Signing clinician',
+        'review.at': 'Sign-off time',
+        'review.impression': 'Clinician impression',
+        'findings': 'Findings (clinician-amended if signed off), one "- " line each',
+        'disclaimer': 'Disclaimer text (text and share output)'
+    },
+
+    DEFAULTS: {
+        name: 'Default',
+        facility: { name: 'Med-AI Diagnostic Centre', address: 'Nairobi, Kenya', contact: '' },
+        logo: null,
+        headerColor: '#1e1e1e',
+        title: 'AI Diagnostic Report',
+        sections: {
+            patient: true, study: true, clinician: true, image: true,
+            impression: true, findings: true, measurements: true, model: true, review: true
+        },
+        disclaimer: 'This report was generated by the Med-AI Diagnostic System for {{facility.name}}. ' +
+            'AI findings are decision support only and must be reviewed by a qualified healthcare ' +
+            'provider before clinical use.',
+        label: [
+            'Patient: {{patient.name}}',
+            'Patient ID: {{patient.id}}',
+            'Age/Sex: {{patient.age}} / {{patient.sex}}',
+            'Study: {{study.title}}',
+            'Study ID: {{study.id}}',
+            'Accession: {{study.accession}}',
+            'Type: {{study.modality}}',
+            'Confidence: {{study.confidence}}',
+            'Analyzed: {{study.analyzedAt}}',
+            'Review: {{review.status}}',
+            '',
+            'Findings:',
+            '{{findings}}'
+        ].join('\n'),
+        share: '{{study.title}} - {{study.confidence}} confidence ({{facility.name}}, study {{study.id}})',
+        text: [
+            '{{facility.name}}',
+            '{{report.title}}',
+            '========================',
+            'Date: {{date}}',
+            'Study ID: {{study.id}}',
+            'Accession: {{study.accession}}',
+            'Analyzed: {{study.analyzedAt}}',
+            'Patient: {{patient.name}}',
+            'Patient ID: {{patient.id}}',
+            'MRN: {{patient.mrn}}',
+            'Age/Sex: {{patient.age}} / {{patient.sex}}',
+            'Clinician: {{clinician.name}}',
+            '',
+            'DIAGNOSIS: {{study.title}}',
+            'Modality: {{study.modality}}',
+            'AI Confidence: {{study.confidence}}',
+            '',
+            'CLINICAL FINDINGS:',
+            '{{findings}}',
+            '',
+            'IMPRESSION: {{review.impression}}',
+            '',
+            'AI Model: {{study.model}}',
+            'Review: {{review.status}} by {{review.by}} ({{review.at}})',
+            '',
+            '{{disclaimer}}'
+        ].join('\n')
+    },
+
+    // ==================== STORAGE ====================
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        } catch (error) {
+            console.warn("Ignoring unreadable report templates:", error);
+        }
+
+        const templates = (stored?.templates || []).map(t => this.normalize(t));
+        if (!templates.length) templates.push(this.create({ id: 'default' }));
+
+        const activeId = templates.some(t => t.id === stored?.activeId) ? stored.activeId : templates[0].id;
+        return { activeId, templates };
+    },
+
+    persist(state) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+    },
+
+    list() {
+        return this.load().templates;
+    },
+
+    getActive() {
+        const { activeId, templates } = this.load();
+        return templates.find(t => t.id === activeId);
+    },
+
+    // Saves (inserting or replacing by id) and makes it the active template
+    save(template) {
+        const state = this.load();
+        const normalized = this.normalize(template);
+        const index = state.templates.findIndex(t => t.id === normalized.id);
+
+        if (index === -1) state.templates.push(normalized);
+        else state.templates[index] = normalized;
+
+        state.activeId = normalized.id;
+        this.persist(state);
+        return normalized;
+    },
+
+    remove(id) {
+        const state = this.load();
+        if (state.templates.length <= 1) {
+            throw { status: 400, message: 'At least one report template is required', code: 'LAST_TEMPLATE' };
+        }
+
+        state.templates = state.templates.filter(t => t.id !== id);
+        if (state.activeId === id) state.activeId = state.templates[0].id;
+        this.persist(state);
+        return state;
+    },
+
+    create(overrides = {}) {
+        return this.normalize({
+            ...JSON.parse(JSON.stringify(this.DEFAULTS)),
+            id: `tpl_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...overrides
+        });
+    },
+
+    // Fills in fields added since a template was stored
+    normalize(template) {
+        const defaults = this.DEFAULTS;
+        return {
+            ...defaults,
+            ...template,
+            facility: { ...defaults.facility, ...template.facility },
+            sections: { ...defaults.sections, ...template.sections }
+        };
+    },
+
+    // ==================== RENDERING ====================
+    /**
+     * Replaces {{path}} placeholders with values from `context`. Unknown
+     * placeholders render empty.
+     */
+    fill(text, context) {
+        return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = path.split('.').reduce((obj, key) => obj?.[key], context);
+            return value === null || value === undefined ? '' : String(value);
+        });
+    },
+
+    /**
+     * Decodes the stored JPEG logo for the PDF writer.
+     * @returns {{bytes: Uint8Array, width: number, height: number} | null}
+     */
+    logoImage(template) {
+        const logo = template.logo;
+        if (!logo?.dataUrl?.startsWith('data:image/jpeg;base64,')) return null;
+
+        const binary = atob(logo.dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return { bytes, width: logo.width, height: logo.height };
+    }
+};
@@ -0,0 +1,266 @@
+/**
+ * MedAI Offline Scan Queue
+ * IndexedDB queue for captures taken without a connection. Records are
+ * encrypted with SecureStore and the session token is read at replay
+ * time, never stored. Only an open dashboard holds both, so Background
+ * Sync in the service worker asks a dashboard tab to replay the queue.
+ */
+
+const ScanQueue = {
+    DB_NAME: 'medai_offline',
+    DB_VERSION: 2,
+    STORE: 'scans',
+    SYNC_TAG: 'medai-scan-sync',
+    CLAIM_TIMEOUT: 60000,
+    POLL_INTERVAL: 1000,
+    POLL_TIMEOUT: 120000,
+
+    db: null,
+
+    // ==================== STORAGE ====================
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    const store = db.createObjectStore(this.STORE, { keyPath: 'id' });
+                    store.createIndex('status', 'status');
+                }
+
+                // v2: records no longer carry the session token
+                if (event.oldVersion === 1) {
+                    request.transaction.objectStore(this.STORE).openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        if (cursor.value.token) {
+                            const { token, ...record } = cursor.value;
+                            cursor.update(record);
+                        }
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Signing out deletes the database; let it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async run(mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // Sealed before the transaction starts: IndexedDB transactions close
+    // while crypto is still running
+    async add({ id, image, ...details }) {
+        const record = {
+            id,
+            status: 'pending',
+            attempts: 0,
+            createdAt: Date.now(),
+            sealed: await SecureStore.encrypt(details),
+            image: {
+                type: image.type,
+                sealed: await SecureStore.encryptBytes(await image.arrayBuffer())
+            }
+        };
+
+        return this.run('readwrite', store => store.put(record));
+    },
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    },
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    },
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    },
+
+    // Read-modify-write inside one transaction; `changes` may be a function
+    // returning the patch, or null to leave the record untouched
+    async update(id, changes) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const store = tx.objectStore(this.STORE);
+            let updated = null;
+
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const record = getRequest.result;
+                if (!record) return;
+
+                const patch = typeof changes === 'function' ? changes(record) : changes;
+                if (!patch) return;
+
+                updated = { ...record, ...patch };
+                store.put(updated);
+            };
+
+            tx.oncomplete = () => resolve(updated);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    // Marks a record as being sent so the page and the service worker never
+    // upload the same scan twice. Stale claims (a closed tab) expire.
+    claim(id) {
+        return this.update(id, (record) => {
+            const stale = record.status === 'sending' &&
+                Date.now() - (record.claimedAt || 0) > this.CLAIM_TIMEOUT;
+
+            if (record.status !== 'pending' && !stale) return null;
+            return { status: 'sending', claimedAt: Date.now() };
+        });
+    },
+
+    // ==================== ENCRYPTION ====================
+    // Records queued before encryption was added are read as stored
+    async openRecord(record) {
+        const details = record.sealed ? await SecureStore.decrypt(record.sealed) : record;
+        const image = record.image?.sealed ?
+            new Blob([await SecureStore.decryptBytes(record.image.sealed)], { type: record.image.type }) :
+            record.image;
+
+        return { ...details, image };
+    },
+
+    // Analysis results wait in the queue until the dashboard merges them
+    async openResult(record) {
+        return record.sealed ? SecureStore.decrypt(record.result) : record.result;
+    },
+
+    // ==================== REPLAY ====================
+    async replay(record, token) {
+        const { image, fileName, scanType, endpoint } = await this.openRecord(record);
+
+        const formData = new FormData();
+        formData.append('image', image, fileName);
+        formData.append('scanType', scanType);
+
+        const headers = {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${token}`
+        };
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: formData
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw {
+                status: response.status,
+                message: data.message || 'Analysis request failed',
+                code: data.code,
+                data
+            };
+        }
+
+        const jobId = response.status === 202 ? (data.jobId || data.job?.id) : null;
+        return jobId ? this.pollJob(`${endpoint}/${encodeURIComponent(jobId)}`, headers) : data;
+    },
+
+    async pollJob(url, headers) {
+        const deadline = Date.now() + this.POLL_TIMEOUT;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, this.POLL_INTERVAL));
+
+            const response = await fetch(url, { headers });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw {
+                    status: response.status,
+                    message: data.message || 'Analysis job lookup failed',
+                    code: data.code,
+                    data
+                };
+            }
+
+            const stage = (data.stage || data.status || '').toLowerCase();
+            if (stage === 'failed' || stage === 'error') {
+                throw { status: 500, message: data.message || 'Analysis failed on server', code: data.code, data };
+            }
+            if (stage === 'completed' || stage === 'done' || data.result) {
+                return data;
+            }
+        }
+
+        throw { status: 408, code: 'JOB_TIMEOUT', message: 'Analysis timed out' };
+    },
+
+    isRetryable(error) {
+        // Network failures, server errors, timeouts, rate limits and expired
+        // tokens (the dashboard retries with a fresh one) stay queued
+        return !error?.status || error.status >= 500 || [401, 408, 429].includes(error.status);
+    },
+
+    /**
+     * Replays every pending scan with the current session token. Results
+     * stay in the store, sealed, with status 'done' until the dashboard
+     * merges them into history and removes them. Resolves to the number of
+     * scans still waiting for a connection or a session.
+     */
+    async processAll({ token } = {}) {
+        const records = await this.getAll();
+        if (!token) return this.countWaiting(records);
+
+        for (const record of records) {
+            if (record.status === 'done' || record.status === 'failed') continue;
+
+            const claimed = await this.claim(record.id);
+            if (!claimed) continue;
+
+            try {
+                const result = await this.replay(claimed, token);
+                const sealed = claimed.sealed ? await SecureStore.encrypt(result) : result;
+                await this.update(record.id, { status: 'done', result: sealed, image: null, error: null });
+            } catch (error) {
+                console.warn("[ScanQueue] Replay failed:", error);
+                await this.update(record.id, {
+                    status: this.isRetryable(error) ? 'pending' : 'failed',
+                    attempts: (claimed.attempts || 0) + 1,
+                    error: error?.message || String(error)
+                });
+
+                // Still offline: leave the rest for the next sync
+                if (error instanceof TypeError) break;
+            }
+        }
+
+        return this.countWaiting(await this.getAll());
+    },
+
+    countWaiting(records) {
+        return records.filter(r => r.status === 'pending' || r.status === 'sending').length;
+    }
+};
@@ -0,0 +1,296 @@
+/**
+ * MedAI Secure Store
+ * Web Crypto encryption for data kept on the device. Patient data is
+ * sealed with a random AES-GCM key (and an HMAC key for searchable
+ * references) that is stored only wrapped with a key derived from the app
+ * lock PIN, and held unwrapped in memory while the dashboard is unlocked.
+ * That keeps the data out of casual reach, but it is only as strong as
+ * the PIN: someone with a copy of the browser profile can guess offline,
+ * past the attempt limit, slowed down only by the PBKDF2 rounds. The
+ * sign-in session has its own device key, non-extractable in IndexedDB,
+ * so it can be restored before the PIN is entered. Signing out destroys
+ * the keys and the data they protect.
+ */
+
+const SecureStore = {
+    DB_NAME: 'medai_keys',
+    DB_VERSION: 1,
+    STORE: 'keys',
+    KEY_ID: 'session',
+    DATA_KEY_ID: 'data',
+    PREFIX: 'enc:v1:',
+
+    // Scopes for the encryption helpers
+    SESSION: 'session',
+    DATA: 'data',
+
+    // Wiped together with the keys on sign-out
+    PHI_DATABASES: ['medai_history', 'medai_offline'],
+    PHI_SESSION_KEYS: ['medai_active_patient'],
+
+    db: null,
+    sessionKey: null,
+    keys: null, // Unwrapped patient data keys, only while unlocked
+
+    // ==================== KEYS ====================
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab signing out deletes this database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.sessionKey = null;
+                    this.keys = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async run(mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Resolves with the stored session key record. Throws LOCKED when there
+     * is none, i.e. nobody has signed in on this device since the last
+     * sign-out.
+     */
+    async getSessionKey() {
+        if (!this.sessionKey) {
+            this.sessionKey = this.run('readonly', store => store.get(this.KEY_ID)).then(record => {
+                if (!record) throw { status: 401, code: 'LOCKED', message: 'No encryption key on this device' };
+                return record;
+            });
+            // Don't cache a failure: the next call looks again
+            this.sessionKey.catch(() => { this.sessionKey = null; });
+        }
+        return this.sessionKey;
+    },
+
+    /**
+     * Makes sure a session key exists for `owner` (the signed-in user's
+     * email). When a different user signs in on the device, the previous
+     * user's data is wiped first so it can never be read under the new
+     * session; the same user finds their data as they left it.
+     */
+    async unlockFor(owner) {
+        const existing = await this.getSessionKey().catch(() => null);
+        if (existing?.owner === owner) return existing;
+        if (existing) await this.wipe();
+
+        const record = {
+            id: this.KEY_ID,
+            owner,
+            createdAt: Date.now(),
+            encryption: await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+        };
+
+        await this.run('readwrite', store => store.put(record));
+        this.sessionKey = Promise.resolve(record);
+        return record;
+    },
+
+    // ==================== DATA KEYS ====================
+    /**
+     * Resolves with the unwrapped patient data keys. Throws LOCKED until
+     * unlockData() has been given the wrapping key for this page.
+     */
+    async getKeys() {
+        if (!this.keys) throw { status: 401, code: 'LOCKED', message: 'Patient data on this device is locked' };
+        return this.keys;
+    },
+
+    isUnlocked() {
+        return Boolean(this.keys);
+    },
+
+    async hasDataKeys() {
+        return Boolean(await this.run('readonly', store => store.get(this.DATA_KEY_ID)));
+    },
+
+    /**
+     * Stores the data keys wrapped with `wrapping` (an AES-KW key) and
+     * unlocks them. Creates the keys the first time; afterwards the page
+     * must be unlocked, and the keys are re-wrapped (e.g. for a new PIN)
+     * so existing data stays readable. `records` are written in the same
+     * transaction, e.g. the salt the wrapping key was derived with.
+     */
+    async wrapDataKeys(wrapping, records = []) {
+        const stored = await this.run('readonly', store => store.get(this.DATA_KEY_ID));
+        let encryption, signing;
+
+        if (stored) {
+            if (!this.keys) throw { status: 409, code: 'KEY_EXISTS', message: 'Patient data on this device is protected by another PIN' };
+
+            // Unwrapped as extractable only long enough to wrap again
+            const current = this.keys.wrapping;
+            encryption = await crypto.subtle.unwrapKey('raw', stored.encryption, current, 'AES-KW', 'AES-GCM', true, ['encrypt', 'decrypt']);
+            signing = await crypto.subtle.unwrapKey('raw', stored.signing, current, 'AES-KW', { name: 'HMAC', hash: 'SHA-256' }, true, ['sign']);
+        } else {
+            encryption = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+            signing = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, true, ['sign']);
+        }
+
+        const record = {
+            id: this.DATA_KEY_ID,
+            createdAt: stored?.createdAt || Date.now(),
+            encryption: await crypto.subtle.wrapKey('raw', encryption, wrapping, 'AES-KW'),
+            signing: await crypto.subtle.wrapKey('raw', signing, wrapping, 'AES-KW')
+        };
+
+        await this.run('readwrite', (store) => {
+            records.forEach(extra => store.put(extra));
+            return store.put(record);
+        });
+        this.keys = await this.unwrapDataKeys(record, wrapping);
+    },
+
+    /**
+     * Unwraps the data keys for this page. Resolves false when `wrapping`
+     * is not the key they were wrapped with (e.g. a wrong PIN).
+     */
+    async unlockData(wrapping) {
+        const record = await this.run('readonly', store => store.get(this.DATA_KEY_ID));
+        if (!record) throw { status: 400, code: 'NO_KEY', message: 'No patient data key on this device' };
+
+        try {
+            this.keys = await this.unwrapDataKeys(record, wrapping);
+            return true;
+        } catch (error) {
+            // AES-KW checks integrity, so a wrong key fails to unwrap
+            if (error.name === 'OperationError') return false;
+            throw error;
+        }
+    },
+
+    async unwrapDataKeys(record, wrapping) {
+        return {
+            encryption: await crypto.subtle.unwrapKey('raw', record.encryption, wrapping, 'AES-KW', 'AES-GCM', false, ['encrypt', 'decrypt']),
+            signing: await crypto.subtle.unwrapKey('raw', record.signing, wrapping, 'AES-KW', { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+            wrapping
+        };
+    },
+
+    // Forgets the unwrapped keys; stored data stays sealed
+    lock() {
+        this.keys = null;
+    },
+
+    /**
+     * Deletes the keys and every store of patient data. Safe to call when
+     * nothing is stored.
+     */
+    async wipe() {
+        this.sessionKey = null;
+        this.keys = null;
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+
+        this.PHI_SESSION_KEYS.forEach(key => sessionStorage.removeItem(key));
+
+        const remove = (name) => new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => resolve(false);
+            // Open connections are asked to close via onversionchange;
+            // the delete completes once they have
+            request.onblocked = () => console.warn(`[SecureStore] Waiting for ${name} to close`);
+        });
+
+        await Promise.all([this.DB_NAME, ...this.PHI_DATABASES].map(remove));
+    },
+
+    // ==================== ENCRYPTION ====================
+    // Every helper takes a scope: DATA (the default) for patient data,
+    // SESSION for the sign-in session
+    async cipherKey(scope = this.DATA) {
+        const keys = scope === this.SESSION ? await this.getSessionKey() : await this.getKeys();
+        return keys.encryption;
+    },
+
+    async encryptBytes(bytes, scope) {
+        const key = await this.cipherKey(scope);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv, data };
+    },
+
+    async decryptBytes({ iv, data }, scope) {
+        const key = await this.cipherKey(scope);
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    },
+
+    // Objects are stored as { iv, data } so IndexedDB keeps them binary
+    encrypt(value, scope) {
+        return this.encryptBytes(new TextEncoder().encode(JSON.stringify(value)), scope);
+    },
+
+    async decrypt(sealed, scope) {
+        return JSON.parse(new TextDecoder().decode(await this.decryptBytes(sealed, scope)));
+    },
+
+    // Web Storage only holds strings: "enc:v1:" + base64(iv + ciphertext)
+    async encryptString(text, scope) {
+        const { iv, data } = await this.encryptBytes(new TextEncoder().encode(text), scope);
+        const combined = new Uint8Array(iv.length + data.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(data), iv.length);
+
+        let binary = '';
+        combined.forEach(byte => { binary += String.fromCharCode(byte); });
+        return this.PREFIX + btoa(binary);
+    },
+
+    async decryptString(value, scope) {
+        const binary = atob(value.slice(this.PREFIX.length));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const plain = await this.decryptBytes({ iv: bytes.slice(0, 12), data: bytes.slice(12) }, scope);
+        return new TextDecoder().decode(plain);
+    },
+
+    isSealed(value) {
+        return typeof value === 'string' && value.startsWith(this.PREFIX);
+    },
+
+    async setItem(storage, key, value, scope) {
+        storage.setItem(key, await this.encryptString(JSON.stringify(value), scope));
+    },
+
+    // Values written before encryption was added are still read as JSON
+    async getItem(storage, key, scope) {
+        const stored = storage.getItem(key);
+        if (!stored) return null;
+        return JSON.parse(this.isSealed(stored) ? await this.decryptString(stored, scope) : stored);
+    },
+
+    /**
+     * Stable keyed hash of an identifier (e.g. a patient ID), so records
+     * can be indexed and looked up without storing the identifier itself.
+     */
+    async reference(value) {
+        const { signing } = await this.getKeys();
+        const mac = await crypto.subtle.sign('HMAC', signing, new TextEncoder().encode(String(value)));
+        return Array.from(new Uint8Array(mac).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+};
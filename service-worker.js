@@ -2,17 +2,31 @@
 // MedAI Service Worker
 // ========================
 
-const CACHE_NAME = "medai-cache-v1";
+importScripts("scan-queue.js");
+
+const CACHE_NAME = "medai-cache-v13";
 const OFFLINE_URL = "offline.html"; // create this in the same folder
 const ASSETS_TO_CACHE = [
   "index.html",
   "login.html",
   "reg.html",
-  "dashboard.html", // your main dashboard page
+  "reset-password.html",
+  "dash.html", // your main dashboard page
+  "offline.html",
   "auth.css",
   "dash.css",
+  "secure-store.js",
+  "password-blocklist.js",
   "auth.js",
   "dash.js",
+  "scan-queue.js",
+  "history-store.js",
+  "dicom.js",
+  "image-viewer.js",
+  "app-lock.js",
+  "audit-log.js",
+  "report-templates.js",
+  "pdf-report.js",
   "manifest.json",
   "https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@300;700&display=swap",
   "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css",
@@ -70,8 +84,8 @@ self.addEventListener("fetch", (event) => {
         return fetch(request)
           .then((networkResponse) => {
             return caches.open(CACHE_NAME).then((cache) => {
-              // Only cache same-folder requests
-              if (request.url.startsWith(self.location.origin)) {
+              // Only cache same-folder requests, and never a reset link's token
+              if (request.url.startsWith(self.location.origin) && !new URL(request.url).searchParams.has("token")) {
                 cache.put(request, networkResponse.clone());
               }
               return networkResponse;
@@ -86,3 +100,33 @@ self.addEventListener("fetch", (event) => {
       })
   );
 });
+
+// ========================
+// Background Sync - Replay scans captured offline
+// ========================
+// Queued scans are encrypted and carry no token, so only a signed-in
+// dashboard tab can replay them; it answers with the number still queued
+function requestReplay(client) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => resolve(event.data?.remaining ?? null);
+    client.postMessage({ type: "scan-queue-sync" }, [channel.port2]);
+  });
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== ScanQueue.SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then(async (clients) => {
+      const dashboard = clients.find((client) => new URL(client.url).pathname.endsWith("dash.html"));
+      const remaining = dashboard ? await requestReplay(dashboard) : null;
+
+      // Rejecting makes the browser schedule another sync attempt; the
+      // dashboard also replays the queue whenever it opens
+      if (remaining !== 0) {
+        throw new Error(remaining ? `${remaining} scan(s) still waiting for a connection` : "Offline scans are waiting for the dashboard");
+      }
+    })
+  );
+});